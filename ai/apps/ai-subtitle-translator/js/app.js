@@ -3,23 +3,136 @@
  * Wires together all modules and handles UI interactions
  */
 
-import { parseSubtitle, generateSubtitle, createPreview, formatFileSize } from './parser.js';
-import { createBatches, getBatchStats, createProgressTracker } from './batcher.js';
-import { translateAllBatches, setModel, getModel } from './translator.js';
+import {
+    parseSubtitle,
+    generateSubtitle,
+    timestampToMs,
+    convertSubtitle,
+    setFrameRate,
+    createPreview,
+    formatFileSize,
+    SUBTITLE_FORMATS,
+    DEFAULT_FRAME_RATE
+} from './parser.js';
+import { createBatches, createTokenBatches, getTokenBudget, getBatchStats, createProgressTracker, DEFAULT_CONFIG } from './batcher.js';
+import {
+    translateAllBatches,
+    retranslateBatch,
+    formatIssues,
+    estimatePromptTokens,
+    calibrateTokenEstimate,
+    setModel,
+    getModel,
+    setProvider
+} from './translator.js';
+import { getProviderDefinition, getModelId } from './providers.js';
+import { createSubtitleEditor } from './editor.js';
+import { createZip } from './zip.js';
+import { wrapText } from './linebreak.js';
+import { DEFAULT_RATE_LIMITS } from './ratelimit.js';
+import { isRTL, getDirection, prepareRTLText } from './rtl.js';
+import {
+    runQC,
+    needsShortening,
+    getLengthLimits,
+    QC_PRESETS,
+    DEFAULT_QC_PRESET
+} from './qc.js';
+import {
+    retime,
+    createShift,
+    createFrameRateConversion,
+    createResync,
+    FRAME_RATES
+} from './timing.js';
+import {
+    detectEncoding,
+    decodeText,
+    encodeText,
+    getEncodingLabel,
+    INPUT_ENCODINGS,
+    OUTPUT_ENCODINGS
+} from './encoding.js';
+import {
+    detectLanguage,
+    resolveLanguage,
+    getLanguageLabel,
+    SUGGESTED_LANGUAGES
+} from './languages.js';
+import {
+    loadGlossary,
+    saveGlossary,
+    parseGlossaryFile,
+    exportGlossaryCSV,
+    exportGlossaryJSON,
+    mergeGlossaries
+} from './glossary.js';
+import {
+    getAllMemory,
+    deleteMemoryEntry,
+    clearMemory,
+    importMemory,
+    parseMemoryFile,
+    exportMemoryJSON,
+    exportMemoryTMX,
+    ANY_MODEL
+} from './memory.js';
+import { hashContent, getJobId, saveJob, loadJob, getAllJobs, deleteJob, isResumable } from './jobs.js';
 
 // ============================================
 // State Management
 // ============================================
 
+/**
+ * Subtitle file in the upload queue
+ * @typedef {Object} SourceFile
+ * @property {number} id - Queue-unique identifier
+ * @property {File} file - The uploaded file
+ * @property {string} fileName - Original file name
+ * @property {string} fileFormat - Detected subtitle format
+ * @property {Uint8Array} bytes - Raw file content, kept for decoding with another encoding
+ * @property {string} encoding - Encoding the file was decoded with
+ * @property {string} detectedEncoding - Encoding found on upload
+ * @property {Object} parsedSubtitle - Parsed source subtitle
+ * @property {string|null} detectedLang - Auto-detected source language, null if unsure
+ * @property {string|null} [contentHash] - SHA-256 of the decoded content, set on first use
+ * @property {boolean} [reportOpen] - Whether the parse report is expanded
+ */
+
+/**
+ * Translation job: one queued file into one target language
+ * @typedef {Object} QueueItem
+ * @property {number} id - Queue-unique identifier
+ * @property {SourceFile} source - File this job translates
+ * @property {string} targetLang - Target language
+ * @property {File} file - The uploaded file
+ * @property {string} fileName - Original file name
+ * @property {string} fileFormat - Detected subtitle format
+ * @property {Object} parsedSubtitle - Parsed source subtitle
+ * @property {Object|null} translatedSubtitle - Translated subtitle once done
+ * @property {Object|null} translationSettings - Settings the translation was made with
+ * @property {import('./jobs.js').SavedJob|null} savedProgress - Resumable progress found in storage
+ * @property {'pending'|'translating'|'done'|'failed'} status - Queue status
+ * @property {number} completedBatches - Batches translated so far
+ * @property {number} totalBatches - Total batches for this file
+ */
+
 const state = {
     apiKey: '',
-    file: null,
-    fileName: '',
-    fileFormat: 'srt',
-    parsedSubtitle: null,
-    translatedSubtitle: null,
+    provider: 'gemini',
+    providerSettings: {},
+    files: [],
+    queue: [],
+    activeItem: null,
+    targetLang: 'fa',
+    extraLangs: [],
+    nextItemId: 1,
+    glossary: [],
+    memory: [],
+    savedJobs: [],
     isTranslating: false,
-    abortController: null
+    abortController: null,
+    pauseControl: null
 };
 
 // ============================================
@@ -28,24 +141,74 @@ const state = {
 
 const elements = {
     // API Key
+    providerSelect: document.getElementById('providerSelect'),
+    apiKeyLabel: document.getElementById('apiKeyLabel'),
     apiKeyInput: document.getElementById('apiKey'),
+    apiKeyHint: document.getElementById('apiKeyHint'),
     toggleApiKey: document.getElementById('toggleApiKey'),
 
     // File Upload
     dropzone: document.getElementById('dropzone'),
     fileInput: document.getElementById('fileInput'),
-    fileInfo: document.getElementById('fileInfo'),
-    fileName: document.getElementById('fileName'),
-    fileSize: document.getElementById('fileSize'),
-    removeFile: document.getElementById('removeFile'),
+    fileQueue: document.getElementById('fileQueue'),
 
     // Settings
+    sourceLang: document.getElementById('sourceLang'),
     targetLang: document.getElementById('targetLang'),
+    targetLangHint: document.getElementById('targetLangHint'),
+    languageList: document.getElementById('languageList'),
+    formality: document.getElementById('formality'),
+    audience: document.getElementById('audience'),
+    profanity: document.getElementById('profanity'),
+    lineBreaks: document.getElementById('lineBreaks'),
+    maxLineLength: document.getElementById('maxLineLength'),
+    extraLangs: document.getElementById('extraLangs'),
+    addTargetLang: document.getElementById('addTargetLang'),
+    frameRateGroup: document.getElementById('frameRateGroup'),
+    frameRate: document.getElementById('frameRate'),
     batchSize: document.getElementById('batchSize'),
+    batchBoundaries: document.getElementById('batchBoundaries'),
+    contextBefore: document.getElementById('contextBefore'),
+    contextAfter: document.getElementById('contextAfter'),
+    outputFormat: document.getElementById('outputFormat'),
+    concurrency: document.getElementById('concurrency'),
+    requestsPerMinute: document.getElementById('requestsPerMinute'),
+    tokensPerMinute: document.getElementById('tokensPerMinute'),
     modelSelect: document.getElementById('modelSelect'),
+    providerBlocks: document.querySelectorAll('.provider-settings'),
+
+    // Glossary
+    glossaryCount: document.getElementById('glossaryCount'),
+    glossaryList: document.getElementById('glossaryList'),
+    glossaryAddForm: document.getElementById('glossaryAddForm'),
+    glossarySource: document.getElementById('glossarySource'),
+    glossaryTarget: document.getElementById('glossaryTarget'),
+    glossaryNote: document.getElementById('glossaryNote'),
+    importGlossary: document.getElementById('importGlossary'),
+    exportGlossaryCsv: document.getElementById('exportGlossaryCsv'),
+    exportGlossaryJson: document.getElementById('exportGlossaryJson'),
+    glossaryFileInput: document.getElementById('glossaryFileInput'),
+
+    // Saved Jobs
+    savedJobsCard: document.getElementById('savedJobsCard'),
+    savedJobsCount: document.getElementById('savedJobsCount'),
+    savedJobsList: document.getElementById('savedJobsList'),
+
+    // Translation Memory
+    memoryCount: document.getElementById('memoryCount'),
+    useMemory: document.getElementById('useMemory'),
+    memorySearch: document.getElementById('memorySearch'),
+    memoryList: document.getElementById('memoryList'),
+    memoryStatus: document.getElementById('memoryStatus'),
+    importMemory: document.getElementById('importMemory'),
+    exportMemoryTmx: document.getElementById('exportMemoryTmx'),
+    exportMemoryJson: document.getElementById('exportMemoryJson'),
+    clearMemory: document.getElementById('clearMemory'),
+    memoryFileInput: document.getElementById('memoryFileInput'),
 
     // Translate Button
     translateBtn: document.getElementById('translateBtn'),
+    translateBtnLabel: document.getElementById('translateBtnLabel'),
 
     // Event Log
     logCard: document.getElementById('logCard'),
@@ -57,8 +220,13 @@ const elements = {
     progressFill: document.getElementById('progressFill'),
     progressText: document.getElementById('progressText'),
     progressPercent: document.getElementById('progressPercent'),
+    jobProgressItem: document.getElementById('jobProgressItem'),
+    jobProgress: document.getElementById('jobProgress'),
     batchProgress: document.getElementById('batchProgress'),
     subtitleProgress: document.getElementById('subtitleProgress'),
+    pauseBtn: document.getElementById('pauseBtn'),
+    resumeBtn: document.getElementById('resumeBtn'),
+    cancelBtn: document.getElementById('cancelBtn'),
 
     // Preview
     previewCard: document.getElementById('previewCard'),
@@ -66,10 +234,51 @@ const elements = {
     translatedPreview: document.getElementById('translatedPreview'),
     tabBtns: document.querySelectorAll('.tab-btn'),
 
+    // Timing
+    timingCard: document.getElementById('timingCard'),
+    shiftForm: document.getElementById('shiftForm'),
+    shiftOffset: document.getElementById('shiftOffset'),
+    fpsForm: document.getElementById('fpsForm'),
+    fpsFrom: document.getElementById('fpsFrom'),
+    fpsTo: document.getElementById('fpsTo'),
+    resyncForm: document.getElementById('resyncForm'),
+    syncCueA: document.getElementById('syncCueA'),
+    syncTimeA: document.getElementById('syncTimeA'),
+    syncCueB: document.getElementById('syncCueB'),
+    syncTimeB: document.getElementById('syncTimeB'),
+
+    // Editor
+    editorCard: document.getElementById('editorCard'),
+    editorList: document.getElementById('editorList'),
+    editorSearch: document.getElementById('editorSearch'),
+    editorSelectionInfo: document.getElementById('editorSelectionInfo'),
+    retranslateSelected: document.getElementById('retranslateSelected'),
+    qcPreset: document.getElementById('qcPreset'),
+    qcMaxCps: document.getElementById('qcMaxCps'),
+    qcMaxCpl: document.getElementById('qcMaxCpl'),
+    qcMaxLines: document.getElementById('qcMaxLines'),
+    qcMinDuration: document.getElementById('qcMinDuration'),
+    qcMaxDuration: document.getElementById('qcMaxDuration'),
+    qcStatus: document.getElementById('qcStatus'),
+    qcIssuesOnly: document.getElementById('qcIssuesOnly'),
+    rewrapLines: document.getElementById('rewrapLines'),
+    shortenFlagged: document.getElementById('shortenFlagged'),
+
     // Download
     downloadCard: document.getElementById('downloadCard'),
     downloadStats: document.getElementById('downloadStats'),
+    saveFormat: document.getElementById('saveFormat'),
+    exportFrameRateGroup: document.getElementById('exportFrameRateGroup'),
+    exportFrameRate: document.getElementById('exportFrameRate'),
+    bilingualMode: document.getElementById('bilingualMode'),
+    outputEncoding: document.getElementById('outputEncoding'),
+    rtlOptions: document.getElementById('rtlOptions'),
+    directionMarks: document.getElementById('directionMarks'),
+    rtlCharacters: document.getElementById('rtlCharacters'),
+    rtlDigits: document.getElementById('rtlDigits'),
     downloadBtn: document.getElementById('downloadBtn'),
+    downloadAllBtn: document.getElementById('downloadAllBtn'),
+    downloadLanguages: document.getElementById('downloadLanguages'),
 
     // Toast
     toast: document.getElementById('toast'),
@@ -83,60 +292,165 @@ const elements = {
 
 const STORAGE_KEY = 'subtranslator_apikey';
 const PROGRESS_KEY = 'subtranslator_progress';
+const PROVIDER_KEY = 'subtranslator_provider';
+const PROVIDER_SETTINGS_KEY = 'subtranslator_provider_settings';
+const OUTPUT_ENCODING_KEY = 'subtranslator_output_encoding';
+const QC_KEY = 'subtranslator_qc';
+const RTL_KEY = 'subtranslator_rtl';
+const MEMORY_KEY = 'subtranslator_memory';
+
+/**
+ * Each provider keeps its own API key; Gemini keeps the original key name
+ */
+function getApiKeyStorageKey(providerId) {
+    return providerId === 'gemini' ? STORAGE_KEY : `${STORAGE_KEY}_${providerId}`;
+}
 
 function saveApiKey(key) {
     try {
-        localStorage.setItem(STORAGE_KEY, key);
+        localStorage.setItem(getApiKeyStorageKey(state.provider), key);
     } catch (e) {
         console.warn('Could not save API key to localStorage');
     }
 }
 
-function loadApiKey() {
+function loadApiKey(providerId = state.provider) {
     try {
-        return localStorage.getItem(STORAGE_KEY) || '';
+        return localStorage.getItem(getApiKeyStorageKey(providerId)) || '';
     } catch (e) {
         return '';
     }
 }
 
-/**
- * Save translation progress to localStorage
- */
-function saveProgress(data) {
+function saveProvider() {
+    try {
+        localStorage.setItem(PROVIDER_KEY, state.provider);
+        localStorage.setItem(PROVIDER_SETTINGS_KEY, JSON.stringify(state.providerSettings));
+    } catch (e) {
+        console.warn('Could not save provider settings to localStorage');
+    }
+}
+
+function loadProvider() {
+    try {
+        const settings = localStorage.getItem(PROVIDER_SETTINGS_KEY);
+        return {
+            provider: localStorage.getItem(PROVIDER_KEY) || 'gemini',
+            settings: settings ? JSON.parse(settings) : {}
+        };
+    } catch (e) {
+        return { provider: 'gemini', settings: {} };
+    }
+}
+
+function saveQcSettings(settings) {
+    try {
+        localStorage.setItem(QC_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn('Could not save QC settings to localStorage');
+    }
+}
+
+function loadQcSettings() {
+    try {
+        const settings = localStorage.getItem(QC_KEY);
+        return settings ? JSON.parse(settings) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveOutputEncoding() {
+    try {
+        localStorage.setItem(OUTPUT_ENCODING_KEY, elements.outputEncoding.value);
+    } catch (e) {
+        console.warn('Could not save output encoding to localStorage');
+    }
+}
+
+function loadOutputEncoding() {
+    try {
+        return localStorage.getItem(OUTPUT_ENCODING_KEY) || 'utf-8';
+    } catch (e) {
+        return 'utf-8';
+    }
+}
+
+function saveRtlOptions() {
+    try {
+        localStorage.setItem(RTL_KEY, JSON.stringify(getRtlOptions()));
+    } catch (e) {
+        console.warn('Could not save right-to-left options to localStorage');
+    }
+}
+
+function loadRtlOptions() {
+    try {
+        const options = localStorage.getItem(RTL_KEY);
+        return options ? JSON.parse(options) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveMemoryEnabled(enabled) {
+    try {
+        localStorage.setItem(MEMORY_KEY, enabled ? 'on' : 'off');
+    } catch (e) {
+        console.warn('Could not save translation memory setting to localStorage');
+    }
+}
+
+function loadMemoryEnabled() {
     try {
-        localStorage.setItem(PROGRESS_KEY, JSON.stringify({
-            ...data,
-            savedAt: Date.now()
-        }));
+        return localStorage.getItem(MEMORY_KEY) !== 'off';
     } catch (e) {
-        console.warn('Could not save progress to localStorage');
+        return true;
     }
 }
 
 /**
- * Load saved translation progress
+ * Move progress saved in localStorage by older versions to the saved jobs
+ * The file is rebuilt from its parsed subtitles; the model was not recorded
  */
-function loadProgress() {
+async function migrateLegacyProgress() {
+    let legacy;
     try {
         const saved = localStorage.getItem(PROGRESS_KEY);
-        if (saved) {
-            return JSON.parse(saved);
-        }
+        if (!saved) return;
+        const parsed = JSON.parse(saved);
+        legacy = typeof parsed.fileName === 'string' ? [parsed] : Object.values(parsed);
     } catch (e) {
         console.warn('Could not load progress from localStorage');
+        return;
     }
-    return null;
-}
 
-/**
- * Clear saved progress
- */
-function clearProgress() {
     try {
+        for (const entry of legacy) {
+            if (!entry.originalEntries?.length) continue;
+
+            const text = generateSubtitle({ format: entry.fileFormat, header: entry.header || '', entries: entry.originalEntries });
+            await saveJob({
+                contentHash: await hashContent(text),
+                fileName: entry.fileName,
+                fileFormat: entry.fileFormat,
+                bytes: new TextEncoder().encode(text),
+                encoding: 'utf-8',
+                sourceLang: entry.sourceLang || null,
+                // Older versions stored language names ('persian') instead of tags
+                targetLang: resolveLanguage(entry.targetLang) || entry.targetLang,
+                model: '',
+                batchSize: entry.batchSize,
+                totalBatches: entry.totalBatches,
+                completedBatches: entry.completedBatches,
+                totalEntries: entry.totalEntries ?? entry.originalEntries.length,
+                translatedEntries: entry.translatedEntries || [],
+                failed: Boolean(entry.failed)
+            });
+        }
         localStorage.removeItem(PROGRESS_KEY);
     } catch (e) {
-        console.warn('Could not clear progress from localStorage');
+        console.warn('Could not move saved progress to IndexedDB:', e);
     }
 }
 
@@ -193,9 +507,9 @@ function addLogEntry(type, message, details = null, batchInfo = null) {
         <div class="log-entry-header">
             <span class="log-time">${formatTime()}</span>
             <span class="log-badge ${badgeClass}">${badgeText}</span>
-            ${batchInfo ? `<span class="log-batch">Batch ${batchInfo}</span>` : ''}
+            ${batchInfo ? `<span class="log-batch">Batch ${escapeHtml(batchInfo)}</span>` : ''}
         </div>
-        <div class="log-content"><strong>${message}</strong></div>
+        <div class="log-content"><strong>${escapeHtml(message)}</strong></div>
     `;
 
     if (details) {
@@ -231,11 +545,18 @@ function showLog() {
 // UI State Updates
 // ============================================
 
+function hasRequiredApiKey() {
+    const provider = getProviderDefinition(state.provider);
+    return !provider.requiresApiKey || state.apiKey.trim().length > 0;
+}
+
 function updateTranslateButton() {
-    const hasApiKey = state.apiKey.trim().length > 0;
-    const hasFile = state.parsedSubtitle !== null;
+    const hasFile = state.queue.length > 0 && state.targetLang !== null;
 
-    elements.translateBtn.disabled = !hasApiKey || !hasFile || state.isTranslating;
+    elements.translateBtn.disabled = !hasRequiredApiKey() || !hasFile || state.isTranslating;
+    elements.translateBtnLabel.textContent = state.queue.length > 1
+        ? `Start ${getItemsToTranslate().length} Translations`
+        : 'Translate Subtitles';
 }
 
 function setTranslating(translating) {
@@ -244,11 +565,47 @@ function setTranslating(translating) {
     updateTranslateButton();
 
     // Disable/enable inputs during translation
+    elements.providerSelect.disabled = translating;
     elements.apiKeyInput.disabled = translating;
+    elements.sourceLang.disabled = translating;
     elements.targetLang.disabled = translating;
+    elements.addTargetLang.disabled = translating;
+    elements.formality.disabled = translating;
+    elements.audience.disabled = translating;
+    elements.profanity.disabled = translating;
+    elements.lineBreaks.disabled = translating;
+    elements.maxLineLength.disabled = translating;
     elements.batchSize.disabled = translating;
+    elements.batchBoundaries.disabled = translating;
+    elements.contextBefore.disabled = translating;
+    elements.contextAfter.disabled = translating;
+    elements.useMemory.disabled = translating;
+    elements.clearMemory.disabled = translating;
+    elements.importMemory.disabled = translating;
+    elements.outputFormat.disabled = translating;
+    RATE_LIMIT_INPUTS.forEach(id => {
+        elements[id].disabled = translating;
+    });
+    elements.frameRate.disabled = translating;
     elements.modelSelect.disabled = translating;
+    elements.providerBlocks.forEach(block => {
+        block.querySelectorAll('input').forEach(input => {
+            input.disabled = translating;
+        });
+    });
+    elements.timingCard.querySelectorAll('input, select, button').forEach(control => {
+        control.disabled = translating;
+    });
     elements.dropzone.style.pointerEvents = translating ? 'none' : 'auto';
+    renderExtraLanguages();
+    renderQueue();
+    renderSavedJobs();
+    updateRunControls();
+}
+
+function updateJobProgress(current, total) {
+    elements.jobProgressItem.hidden = total < 2;
+    elements.jobProgress.textContent = `${current} / ${total}`;
 }
 
 function updateProgress(completedBatches, totalBatches, completedEntries, totalEntries, statusText = null) {
@@ -272,268 +629,1152 @@ function hideProgress() {
     elements.progressCard.hidden = true;
 }
 
+function updateRunControls() {
+    const paused = Boolean(state.pauseControl?.isPaused());
+    const cancelling = Boolean(state.abortController?.signal.aborted);
+
+    elements.pauseBtn.hidden = paused;
+    elements.resumeBtn.hidden = !paused;
+    elements.pauseBtn.disabled = !state.isTranslating || cancelling;
+    elements.resumeBtn.disabled = !state.isTranslating || cancelling;
+    elements.cancelBtn.disabled = !state.isTranslating || cancelling;
+}
+
+// ============================================
+// Pause / Resume / Cancel
+// ============================================
+
+/**
+ * Create the pause switch handed to translateAllBatches
+ * @returns {Object} Pause control with pause() and resume()
+ */
+function createPauseControl() {
+    let waiting = null;
+    let release = null;
+
+    return {
+        isPaused: () => waiting !== null,
+        waitForResume: () => waiting || Promise.resolve(),
+        pause() {
+            if (waiting) return;
+            waiting = new Promise(resolve => {
+                release = resolve;
+            });
+        },
+        resume() {
+            if (!waiting) return;
+            waiting = null;
+            release();
+        }
+    };
+}
+
+/**
+ * Pause the running translation once the batches in flight are done
+ */
+function pauseTranslation() {
+    if (!state.isTranslating || !state.pauseControl) return;
+
+    state.pauseControl.pause();
+    elements.progressText.textContent = 'Pausing after the current batch...';
+    addLogEntry('waiting', 'Pause requested', 'Batches in progress will finish and be saved first');
+    updateRunControls();
+}
+
+function resumeTranslation() {
+    if (!state.isTranslating || !state.pauseControl?.isPaused()) return;
+
+    state.pauseControl.resume();
+    addLogEntry('request', 'Translation resumed', null);
+    updateRunControls();
+}
+
+/**
+ * Cancel the running translation; the batches done so far stay saved
+ */
+function cancelTranslation() {
+    if (!state.isTranslating || !state.abortController || state.abortController.signal.aborted) return;
+
+    state.abortController.abort();
+    // A paused run has to wake up to notice the cancel
+    state.pauseControl?.resume();
+    elements.progressText.textContent = 'Cancelling...';
+    updateRunControls();
+}
+
 function showPreview() {
-    if (state.parsedSubtitle) {
-        elements.originalPreview.textContent = createPreview(state.parsedSubtitle.entries, 15);
-    }
-    if (state.translatedSubtitle) {
-        elements.translatedPreview.textContent = createPreview(state.translatedSubtitle.entries, 15);
-    }
+    const item = state.activeItem;
+    if (!item) return;
+
+    elements.originalPreview.dir = getDirection(item.source.detectedLang);
+    elements.translatedPreview.dir = getDirection(item.targetLang);
+    elements.originalPreview.textContent = createPreview(item.parsedSubtitle.entries, 15);
+    elements.translatedPreview.textContent = item.translatedSubtitle
+        ? createPreview(item.translatedSubtitle.entries, 15)
+        : '';
     elements.previewCard.hidden = false;
 }
 
-function showDownload() {
-    if (state.translatedSubtitle) {
-        const totalEntries = state.translatedSubtitle.entries.length;
-        elements.downloadStats.textContent = `${totalEntries} subtitles translated successfully`;
+function showDownload(scroll = true) {
+    const item = state.activeItem;
+    if (item && item.translatedSubtitle) {
+        const totalEntries = item.translatedSubtitle.entries.length;
+        elements.downloadStats.textContent = `${getTranslatedFileName(item)}: ${totalEntries} subtitles translated successfully`;
     }
+    renderLanguageDownloads();
+    elements.rtlOptions.hidden = !getTranslatedItems().some(translated => isRTL(translated.targetLang));
+    elements.downloadAllBtn.hidden = getTranslatedItems().length < 2;
     elements.downloadCard.hidden = false;
-    elements.downloadCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    if (scroll) {
+        elements.downloadCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+}
+
+function showEditor() {
+    const item = state.activeItem;
+    if (!item || !item.translatedSubtitle) return;
+    editor.setEntries(item.parsedSubtitle.entries, item.translatedSubtitle.entries, {
+        original: getDirection(item.source.detectedLang),
+        translation: getDirection(item.targetLang)
+    });
+    elements.editorSearch.value = '';
+    elements.editorCard.hidden = false;
+    updateQC();
 }
 
 function resetUI() {
     hideProgress();
     elements.previewCard.hidden = true;
+    elements.timingCard.hidden = true;
+    elements.editorCard.hidden = true;
     elements.downloadCard.hidden = true;
-    state.translatedSubtitle = null;
 }
 
 // ============================================
-// File Handling
+// Provider Selection
 // ============================================
 
-function handleFile(file) {
-    // Validate file type
-    const validTypes = ['.srt', '.vtt'];
-    const fileName = file.name.toLowerCase();
-    const isValid = validTypes.some(ext => fileName.endsWith(ext));
+const API_KEY_HINTS = {
+    gemini: 'Get your free API key from <a href="https://aistudio.google.com/app/apikey" target="_blank" rel="noopener">Google AI Studio</a>',
+    openai: 'Leave empty for local servers that do not check keys',
+    ollama: 'Not needed for a local Ollama server',
+    libretranslate: 'Only needed if your LibreTranslate instance requires one'
+};
 
-    if (!isValid) {
-        showToast('Please upload an SRT or VTT subtitle file.');
-        return;
+/**
+ * Switch the active provider and show its settings block
+ * @param {string} providerId - Provider identifier
+ */
+function applyProvider(providerId) {
+    const provider = getProviderDefinition(providerId);
+    state.provider = provider.id;
+    state.apiKey = loadApiKey(provider.id);
+
+    elements.providerSelect.value = provider.id;
+    elements.apiKeyInput.value = state.apiKey;
+    elements.apiKeyLabel.textContent = `${provider.name} API Key${provider.requiresApiKey ? '' : ' (optional)'}`;
+    elements.apiKeyInput.placeholder = `Enter your ${provider.name} API key`;
+    elements.apiKeyHint.innerHTML = API_KEY_HINTS[provider.id] || '';
+
+    const settings = state.providerSettings[provider.id] || {};
+    elements.providerBlocks.forEach(block => {
+        block.hidden = block.dataset.provider !== provider.id;
+        block.querySelectorAll('[data-setting]').forEach(input => {
+            input.value = settings[input.dataset.setting] || '';
+        });
+    });
+    RATE_LIMIT_INPUTS.forEach(id => {
+        elements[id].value = settings[id] ?? '';
+    });
+
+    updateTranslateButton();
+}
+
+/**
+ * Request budget inputs, saved with each provider's settings
+ */
+const RATE_LIMIT_INPUTS = ['concurrency', 'requestsPerMinute', 'tokensPerMinute'];
+
+/**
+ * Read the request budget; empty inputs use the defaults
+ * @returns {import('./ratelimit.js').RateLimits} Request budget
+ */
+function getRateLimits() {
+    const limits = {};
+    RATE_LIMIT_INPUTS.forEach(id => {
+        const value = parseInt(elements[id].value, 10);
+        limits[id] = value >= 0 ? value : DEFAULT_RATE_LIMITS[id];
+    });
+    limits.concurrency = Math.max(1, limits.concurrency);
+    return limits;
+}
+
+/**
+ * Describe a request budget for the event log
+ * @param {import('./ratelimit.js').RateLimits} limits - Request budget
+ * @returns {string} Description
+ */
+function describeRateLimits(limits) {
+    const requests = limits.requestsPerMinute > 0 ? `${limits.requestsPerMinute} requests/min` : 'no request limit';
+    const tokens = limits.tokensPerMinute > 0 ? `${limits.tokensPerMinute} tokens/min` : 'no token limit';
+    return `${limits.concurrency} in parallel, ${requests}, ${tokens}`;
+}
+
+/**
+ * Point the translator at the active provider and model
+ */
+function applyProviderToTranslator() {
+    setProvider(state.provider, state.providerSettings[state.provider] || {});
+    setModel(getSelectedModel());
+}
+
+/**
+ * Get the model name for the active provider
+ * @returns {string} Model name
+ */
+function getSelectedModel() {
+    if (state.provider === 'gemini') {
+        return elements.modelSelect.value;
+    }
+    const settings = state.providerSettings[state.provider] || {};
+    return settings.model || getProviderDefinition(state.provider).defaultModel;
+}
+
+/**
+ * Provider and model of the next run, part of each saved job's key
+ * @returns {string} Model identifier
+ */
+function getCurrentModelId() {
+    return getModelId(state.provider, getSelectedModel());
+}
+
+// ============================================
+// File Queue
+// ============================================
+
+const SUBTITLE_EXTENSIONS = [...new Set(Object.values(SUBTITLE_FORMATS).flatMap(format => format.extensions))];
+const SUPPORTED_FORMATS_TEXT = 'SRT, VTT, ASS/SSA, SBV, SUB (MicroDVD, SubViewer), TTML/DFXP or TXT';
+
+const REMOVE_ICON = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <line x1="18" y1="6" x2="6" y2="18"/>
+        <line x1="6" y1="6" x2="18" y2="18"/>
+    </svg>
+`;
+
+const DOWNLOAD_ICON = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+        <polyline points="7 10 12 15 17 10"/>
+        <line x1="12" y1="15" x2="12" y2="3"/>
+    </svg>
+`;
+
+/**
+ * Add dropped or selected files to the queue
+ * @param {FileList|File[]} files - Files to add
+ */
+function handleFiles(files) {
+    const subtitleFiles = [...files].filter(file =>
+        SUBTITLE_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext)));
+
+    if (subtitleFiles.length < files.length) {
+        showToast(subtitleFiles.length > 0
+            ? `Some files were skipped. Supported formats: ${SUPPORTED_FORMATS_TEXT}.`
+            : `Please upload a subtitle file (${SUPPORTED_FORMATS_TEXT}).`);
     }
 
-    // Read file
+    subtitleFiles.forEach(handleFile);
+}
+
+/**
+ * Decode and parse a file's bytes
+ * @param {string} fileName - File name, used to tell formats apart
+ * @param {Uint8Array} bytes - Raw file content
+ * @param {string} encoding - Encoding to decode with
+ * @returns {Object} Parsed subtitle
+ */
+function parseFileBytes(fileName, bytes, encoding) {
+    return parseSubtitle(decodeText(bytes, encoding), { fileName, frameRate: getFrameRate() });
+}
+
+function handleFile(file) {
+    // Read the raw bytes so legacy encodings can be detected
     const reader = new FileReader();
 
     reader.onload = (e) => {
-        const content = e.target.result;
+        const bytes = new Uint8Array(e.target.result);
 
         try {
-            const parsed = parseSubtitle(content);
+            const { encoding } = detectEncoding(bytes);
+            const parsed = parseFileBytes(file.name, bytes, encoding);
 
             if (parsed.entries.length === 0) {
-                showToast('No valid subtitles found in the file.');
+                showToast(`No valid subtitles found in ${file.name}.`);
                 return;
             }
 
-            // Update state
-            state.file = file;
-            state.fileName = file.name;
-            state.fileFormat = parsed.format;
-            state.parsedSubtitle = parsed;
-
-            // Update UI
-            elements.fileName.textContent = file.name;
-            elements.fileSize.textContent = `${formatFileSize(file.size)} • ${parsed.entries.length} subtitles • ${parsed.format.toUpperCase()}`;
-            elements.dropzone.hidden = true;
-            elements.fileInfo.hidden = false;
-
-            // Show preview
-            showPreview();
-
-            // Reset previous translation
-            resetUI();
-            showPreview();
-
-            updateTranslateButton();
+            const dropped = (parsed.diagnostics || []).filter(diagnostic => diagnostic.action === 'dropped').length;
+            if (dropped > 0) {
+                showToast(`${file.name}: ${dropped} problem${dropped === 1 ? '' : 's'} could not be repaired. See the parse report in the queue.`);
+            }
 
-            // Check for saved progress for this file
-            checkForSavedProgress();
+            addToQueue(file, parsed, bytes, encoding);
         } catch (error) {
-            showToast('Error parsing subtitle file. Please check the file format.');
+            showToast(`Error parsing ${file.name}. Please check the file format.`);
             console.error('Parse error:', error);
         }
     };
 
     reader.onerror = () => {
-        showToast('Error reading file. Please try again.');
+        showToast(`Error reading ${file.name}. Please try again.`);
     };
 
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
 }
 
-function removeFile() {
-    state.file = null;
-    state.fileName = '';
-    state.parsedSubtitle = null;
-    state.translatedSubtitle = null;
+/**
+ * Add a parsed file to the queue, replacing a queued file of the same name
+ * @param {File} file - The uploaded file
+ * @param {Object} parsed - Parsed subtitle
+ * @param {Uint8Array} bytes - Raw file content
+ * @param {string} encoding - Detected encoding
+ * @returns {SourceFile} The queued file
+ */
+function addToQueue(file, parsed, bytes, encoding) {
+    const source = {
+        id: state.nextItemId++,
+        file,
+        fileName: file.name,
+        fileFormat: parsed.format,
+        bytes,
+        encoding,
+        detectedEncoding: encoding,
+        parsedSubtitle: parsed,
+        detectedLang: detectLanguage(parsed.entries)
+    };
+
+    const replaced = state.files.find(queued => queued.fileName === file.name);
+    state.files = state.files.filter(queued => queued !== replaced);
+    state.files.push(source);
 
-    elements.dropzone.hidden = false;
-    elements.fileInfo.hidden = true;
-    elements.fileInput.value = '';
+    // Keep episodes in natural order (E2 before E10)
+    state.files.sort((a, b) => a.fileName.localeCompare(b.fileName, undefined, { numeric: true }));
 
-    resetUI();
-    hideResumeBanner();
-    updateTranslateButton();
+    const showNewFile = !state.activeItem || state.activeItem.source === replaced;
+    syncQueue(showNewFile ? source : null);
+    return source;
 }
 
-// ============================================
-// Translation
-// ============================================
+function removeFromQueue(source) {
+    state.files = state.files.filter(queued => queued !== source);
+    syncQueue();
+}
+
+/**
+ * Hash a queued file's decoded content, once per encoding
+ * Saved jobs are matched by this hash rather than the file name
+ * @param {SourceFile} source - Queued file
+ * @returns {Promise<string>} Content hash
+ */
+async function getContentHash(source) {
+    if (!source.contentHash) {
+        source.contentHash = await hashContent(decodeText(source.bytes, source.encoding));
+    }
+    return source.contentHash;
+}
 
-async function startTranslation(resumeData = null) {
-    if (!state.parsedSubtitle || !state.apiKey) return;
+/**
+ * Decode a queued file again with another encoding
+ * Its jobs are recreated, as translations of the old text no longer apply
+ * @param {SourceFile} source - Queued file
+ * @param {string} encoding - Encoding chosen by the user
+ */
+function changeSourceEncoding(source, encoding) {
+    let parsed;
+    try {
+        parsed = parseFileBytes(source.fileName, source.bytes, encoding);
+    } catch (error) {
+        console.error('Parse error:', error);
+        parsed = null;
+    }
 
-    const targetLang = elements.targetLang.value;
-    const batchSize = parseInt(elements.batchSize.value, 10);
-    const selectedModel = elements.modelSelect.value;
+    if (!parsed || parsed.entries.length === 0) {
+        showToast(`No valid subtitles found in ${source.fileName} when decoded as ${getEncodingLabel(encoding)}.`);
+        renderQueue();
+        return;
+    }
 
-    // Set the model
-    setModel(selectedModel);
+    const hadTranslations = state.queue.some(job => job.source === source && job.translatedSubtitle);
 
-    // Create batches
-    const batches = createBatches(state.parsedSubtitle.entries, batchSize);
-    const stats = getBatchStats(batches);
+    source.encoding = encoding;
+    source.contentHash = null;
+    source.fileFormat = parsed.format;
+    source.parsedSubtitle = parsed;
+    source.detectedLang = detectLanguage(parsed.entries);
+    source.reportOpen = false;
 
-    // Resume settings
-    let startFromBatch = 0;
-    let existingEntries = [];
-    let completedEntries = 0;
+    state.queue = state.queue.filter(job => job.source !== source);
+    syncQueue(source);
 
-    if (resumeData) {
-        startFromBatch = resumeData.completedBatches;
-        existingEntries = resumeData.translatedEntries || [];
-        completedEntries = existingEntries.length;
+    if (hadTranslations) {
+        showToast(`${source.fileName} was decoded as ${getEncodingLabel(encoding)}. Its translations were cleared; translate it again.`);
     }
+}
 
-    // Setup abort controller
-    state.abortController = new AbortController();
+/**
+ * Create a translation job for one file and one target language
+ * @param {SourceFile} source - Queued file
+ * @param {string} targetLang - Target language
+ * @returns {QueueItem} The job
+ */
+function createJob(source, targetLang) {
+    return {
+        id: state.nextItemId++,
+        source,
+        targetLang,
+        file: source.file,
+        fileName: source.fileName,
+        fileFormat: source.fileFormat,
+        parsedSubtitle: source.parsedSubtitle,
+        translatedSubtitle: null,
+        translationSettings: null,
+        savedProgress: null,
+        status: 'pending',
+        completedBatches: 0,
+        totalBatches: 0
+    };
+}
 
-    // Show progress
-    setTranslating(true);
-    showProgress();
-    updateProgress(startFromBatch, stats.totalBatches, completedEntries, stats.totalEntries);
+/**
+ * Rebuild the jobs from the queued files and selected languages,
+ * keeping existing jobs (and their translations) that still apply
+ * @param {SourceFile|null} [showSource=null] - File to show once synced
+ */
+function syncQueue(showSource = null) {
+    const languages = getTargetLanguages();
+    const jobs = [];
+
+    state.files.forEach(source => {
+        languages.forEach(targetLang => {
+            const existing = state.queue.find(job => job.source === source && job.targetLang === targetLang);
+            jobs.push(existing || createJob(source, targetLang));
+        });
+    });
 
-    // Clear and show log
-    if (!resumeData) {
-        clearLog();
-    }
-    showLog();
+    state.queue = jobs;
 
-    if (resumeData) {
-        addLogEntry('response', `Resuming translation from batch ${startFromBatch + 1}`,
-            `${completedEntries} subtitles already translated\n${stats.totalEntries - completedEntries} remaining\nModel: ${selectedModel}`);
-    } else {
-        addLogEntry('request', `Starting translation: ${stats.totalEntries} subtitles in ${stats.totalBatches} batches`,
-            `Target language: ${elements.targetLang.options[elements.targetLang.selectedIndex].text}\nBatch size: ${batchSize}\nModel: ${selectedModel}`);
+    if (showSource || !jobs.includes(state.activeItem)) {
+        const source = showSource || state.activeItem?.source;
+        selectItem(jobs.find(job => job.source === source) || jobs[0] || null);
     }
 
-    try {
-        // Translate all batches
-        const translatedEntries = await translateAllBatches(
-            state.apiKey,
-            batches,
-            targetLang,
-            (completedBatches, totalBatches, batchEntries, statusText) => {
-                if (batchEntries > 0) {
-                    completedEntries += batchEntries;
-                }
-                updateProgress(completedBatches, totalBatches, completedEntries, stats.totalEntries, statusText);
-            },
-            state.abortController.signal,
-            // Log callback
-            (type, message, details, batchInfo) => {
-                addLogEntry(type, message, details, batchInfo);
-            },
-            // Save progress callback
-            (completedBatches, allEntries, failed = false) => {
-                saveProgress({
-                    fileName: state.fileName,
-                    fileFormat: state.fileFormat,
-                    targetLang,
-                    batchSize,
-                    totalBatches: stats.totalBatches,
-                    completedBatches,
-                    totalEntries: stats.totalEntries,
-                    translatedEntries: allEntries,
-                    originalEntries: state.parsedSubtitle.entries,
-                    header: state.parsedSubtitle.header,
-                    failed
-                });
-
-                if (!failed) {
-                    addLogEntry('response', `Progress saved (${completedBatches}/${stats.totalBatches} batches)`, null);
-                }
-            },
-            startFromBatch,
-            existingEntries
-        );
-
-        // Create translated subtitle object
-        state.translatedSubtitle = {
-            format: state.parsedSubtitle.format,
-            header: state.parsedSubtitle.header,
-            entries: translatedEntries
-        };
+    updateTranslateButton();
 
-        // Clear saved progress on success
-        clearProgress();
+    // Check for saved progress for the queued jobs
+    checkForSavedProgress();
+}
 
-        // Update UI
-        updateProgress(stats.totalBatches, stats.totalBatches, stats.totalEntries, stats.totalEntries);
+/**
+ * Show a job in the preview, editor and download cards
+ * @param {QueueItem|null} item - Job to show
+ */
+function selectItem(item) {
+    state.activeItem = item;
+    resetUI();
 
-        // Log completion
-        addLogEntry('response', `Translation complete!`, `Successfully translated ${stats.totalEntries} subtitles`);
+    if (item) {
+        showPreview();
+        elements.timingCard.hidden = false;
+        if (item.translatedSubtitle) {
+            showEditor();
+            showDownload(false);
+        }
+        switchPreviewTab(item.translatedSubtitle ? 'translated' : 'original');
+    }
 
-        // Show results
-        setTimeout(() => {
-            hideProgress();
-            showPreview();
-            showDownload();
+    renderQueue();
+}
 
-            // Switch to translated tab
-            switchPreviewTab('translated');
-        }, 500);
+function getQueueStatusText(item) {
+    switch (item.status) {
+        case 'translating':
+            return `Translating ${item.completedBatches}/${item.totalBatches} batches`;
+        case 'done':
+            return 'Translated';
+        case 'failed':
+            return 'Failed - progress saved';
+        default:
+            return item.savedProgress
+                ? `Saved progress ${item.savedProgress.completedBatches}/${item.savedProgress.totalBatches} batches`
+                : 'Waiting';
+    }
+}
 
-    } catch (error) {
-        console.error('Translation error:', error);
-        addLogEntry('error', 'Translation failed - progress saved', error.message + '\n\nYou can resume from where it stopped.');
-        showToast(error.message || 'Translation failed. Progress saved - you can resume.');
-        hideProgress();
+function getQueuePercent(item) {
+    if (item.status === 'done') return 100;
+    const progress = item.status === 'pending' && item.savedProgress ? item.savedProgress : item;
+    return progress.totalBatches > 0 ? Math.round((progress.completedBatches / progress.totalBatches) * 100) : 0;
+}
 
-        // Check if we have saved progress and show resume button
-        checkForSavedProgress();
-    } finally {
-        setTranslating(false);
-        state.abortController = null;
-    }
+function createQueueButton(className, label, icon, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.innerHTML = icon;
+    button.addEventListener('click', onClick);
+    return button;
 }
 
-/**
- * Check for saved progress and show resume option
- */
-function checkForSavedProgress() {
-    const saved = loadProgress();
+function createJobRow(item) {
+    const row = document.createElement('div');
+    row.className = `queue-job ${item.status}`;
+    row.classList.toggle('active', item === state.activeItem);
+
+    row.innerHTML = `
+        <span class="queue-lang"></span>
+        <div class="queue-status">
+            <span class="queue-status-text"></span>
+            <div class="queue-progress">
+                <div class="queue-progress-fill" style="width: ${getQueuePercent(item)}%"></div>
+            </div>
+        </div>
+        <div class="queue-actions"></div>
+    `;
 
-    if (saved && saved.translatedEntries && saved.translatedEntries.length > 0) {
-        // Check if it's for the same file
-        const isSameFile = saved.fileName === state.fileName;
+    row.querySelector('.queue-lang').textContent = getLanguageLabel(item.targetLang);
+    row.querySelector('.queue-status-text').textContent = getQueueStatusText(item);
 
-        if (isSameFile && saved.completedBatches < saved.totalBatches) {
-            showResumeOption(saved);
-        }
+    if (item.translatedSubtitle) {
+        row.querySelector('.queue-actions').appendChild(createQueueButton('btn-remove btn-queue-download',
+            'Download translation', DOWNLOAD_ICON, () => downloadTranslation(item)));
     }
+
+    row.addEventListener('click', (e) => {
+        if (state.isTranslating || item === state.activeItem || e.target.closest('button')) return;
+        selectItem(item);
+    });
+
+    return row;
 }
 
-/**
- * Show resume option UI
- */
-function showResumeOption(saved) {
-    const resumeInfo = `${saved.completedBatches}/${saved.totalBatches} batches (${saved.translatedEntries.length} subtitles)`;
+function createQueueFile(source) {
+    const block = document.createElement('div');
+    block.className = 'file-info queue-file';
 
-    // Create resume banner if it doesn't exist
-    let resumeBanner = document.getElementById('resumeBanner');
+    block.innerHTML = `
+        <div class="queue-file-header">
+            <div class="file-details">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                    <polyline points="14 2 14 8 20 8"/>
+                </svg>
+                <div class="file-meta">
+                    <span class="file-name"></span>
+                    <span class="file-size"></span>
+                </div>
+            </div>
+        </div>
+    `;
+
+    block.querySelector('.file-name').textContent = source.fileName;
+    const detected = source.detectedLang ? ` • Detected: ${getLanguageLabel(source.detectedLang)}` : '';
+    const frameRate = source.fileFormat === 'microdvd' ? ` (${source.parsedSubtitle.frameRate} fps)` : '';
+    block.querySelector('.file-size').textContent = `${formatFileSize(source.file.size)} • ${source.parsedSubtitle.entries.length} subtitles • ${SUBTITLE_FORMATS[source.fileFormat].name}${frameRate}${detected}`;
+
+    block.querySelector('.queue-file-header').appendChild(createEncodingSelect(source));
+
+    if (!state.isTranslating) {
+        block.querySelector('.queue-file-header').appendChild(createQueueButton('btn-remove', 'Remove file', REMOVE_ICON,
+            () => removeFromQueue(source)));
+    }
+
+    if (source.parsedSubtitle.diagnostics?.length > 0) {
+        block.appendChild(createParseReport(source));
+    }
+
+    state.queue
+        .filter(job => job.source === source)
+        .forEach(job => block.appendChild(createJobRow(job)));
+
+    return block;
+}
+
+/**
+ * Build the encoding override of a queued file; the detected encoding is marked
+ * @param {SourceFile} source - Queued file
+ * @returns {HTMLSelectElement} Encoding select
+ */
+function createEncodingSelect(source) {
+    const select = document.createElement('select');
+    select.className = 'queue-encoding';
+    select.title = 'File encoding';
+    select.setAttribute('aria-label', `Encoding of ${source.fileName}`);
+    select.disabled = state.isTranslating;
+
+    INPUT_ENCODINGS.forEach(option => {
+        const label = option.value === source.detectedEncoding ? `${option.label} (detected)` : option.label;
+        select.appendChild(new Option(label, option.value, false, option.value === source.encoding));
+    });
+
+    select.addEventListener('change', () => changeSourceEncoding(source, select.value));
+    return select;
+}
+
+// Parse report: problems listed before "...and N more"
+const MAX_REPORTED_PROBLEMS = 50;
+
+/**
+ * Build the collapsible list of problems found while parsing a file
+ * The queue is re-rendered often, so the open state lives on the source
+ * @param {SourceFile} source - Queued file with parser diagnostics
+ * @returns {HTMLDetailsElement} Report element
+ */
+function createParseReport(source) {
+    const { diagnostics } = source.parsedSubtitle;
+    const dropped = diagnostics.filter(diagnostic => diagnostic.action === 'dropped').length;
+    const repaired = diagnostics.length - dropped;
+
+    const report = document.createElement('details');
+    report.className = 'parse-report';
+    report.classList.toggle('has-dropped', dropped > 0);
+    report.open = Boolean(source.reportOpen);
+    report.addEventListener('toggle', () => {
+        source.reportOpen = report.open;
+    });
+
+    const summary = document.createElement('summary');
+    summary.textContent = `Parse report: ${repaired} repaired, ${dropped} dropped`;
+    report.appendChild(summary);
+
+    const list = document.createElement('ul');
+    diagnostics.slice(0, MAX_REPORTED_PROBLEMS).forEach(diagnostic => {
+        const item = document.createElement('li');
+        item.className = diagnostic.action;
+        item.textContent = `Line ${diagnostic.line}: ${diagnostic.problem} (${diagnostic.action})`;
+        list.appendChild(item);
+    });
+    if (diagnostics.length > MAX_REPORTED_PROBLEMS) {
+        const more = document.createElement('li');
+        more.textContent = `...and ${diagnostics.length - MAX_REPORTED_PROBLEMS} more`;
+        list.appendChild(more);
+    }
+    report.appendChild(list);
+
+    return report;
+}
+
+function renderQueue() {
+    const fragment = document.createDocumentFragment();
+    state.files.forEach(source => fragment.appendChild(createQueueFile(source)));
+    elements.fileQueue.replaceChildren(fragment);
+
+    elements.fileQueue.hidden = state.files.length === 0;
+    elements.dropzone.classList.toggle('compact', state.files.length > 0);
+    elements.frameRateGroup.hidden = !state.files.some(usesFrameRate);
+}
+
+/**
+ * Frame rate for MicroDVD files that don't state one
+ * @returns {number} Frames per second
+ */
+function getFrameRate() {
+    const frameRate = parseFloat(elements.frameRate.value);
+    return frameRate > 0 ? frameRate : DEFAULT_FRAME_RATE;
+}
+
+/**
+ * Whether a file's timing depends on the frame rate setting
+ * @param {SourceFile} source - Queued file
+ * @returns {boolean} True for MicroDVD files without a frame rate line
+ */
+function usesFrameRate(source) {
+    return source.fileFormat === 'microdvd' && !source.parsedSubtitle.header;
+}
+
+/**
+ * Re-time MicroDVD files (and their translations) for a new frame rate
+ */
+function applyFrameRate() {
+    const frameRate = getFrameRate();
+
+    state.files.filter(usesFrameRate).forEach(source => {
+        setFrameRate(source.parsedSubtitle, frameRate);
+        state.queue
+            .filter(job => job.source === source && job.translatedSubtitle)
+            .forEach(job => setFrameRate(job.translatedSubtitle, frameRate));
+    });
+
+    selectItem(state.activeItem);
+}
+
+// ============================================
+// Target Languages
+// ============================================
+
+/**
+ * Source language of a job: the selected language, or the detected one
+ * when the selector is on auto-detect
+ * @param {QueueItem} item - Job
+ * @param {string} selected - Source selector value
+ * @returns {string|null} Language tag, or null if unknown
+ */
+function resolveSourceLanguage(item, selected) {
+    return selected === 'auto' ? item.source.detectedLang : selected;
+}
+
+/**
+ * Selected target languages, primary language first
+ * @returns {string[]} Language tags
+ */
+function getTargetLanguages() {
+    const primary = state.targetLang;
+    return [primary, ...state.extraLangs.filter(lang => lang !== primary)].filter(Boolean);
+}
+
+function populateLanguageOptions() {
+    SUGGESTED_LANGUAGES.forEach(tag => {
+        elements.languageList.appendChild(new Option(getLanguageLabel(tag), tag));
+    });
+}
+
+/**
+ * Resolve the typed target language and show what it was understood as
+ */
+function applyTargetLanguage() {
+    const input = elements.targetLang.value;
+    const lang = resolveLanguage(input);
+
+    state.targetLang = lang;
+    elements.targetLang.classList.toggle('invalid', !lang);
+
+    if (lang) {
+        elements.targetLang.value = lang;
+        elements.targetLangHint.textContent = getLanguageLabel(lang);
+        state.extraLangs = state.extraLangs.filter(extra => extra !== lang);
+    } else {
+        elements.targetLangHint.textContent = input.trim()
+            ? 'Unknown language. Use a name or a code such as pt-BR.'
+            : 'Enter a language name or code';
+    }
+
+    renderExtraLanguages();
+    syncQueue();
+}
+
+function renderExtraLanguages() {
+    const fragment = document.createDocumentFragment();
+
+    state.extraLangs.forEach(lang => {
+        const chip = document.createElement('span');
+        chip.className = 'language-chip';
+        chip.textContent = getLanguageLabel(lang);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.setAttribute('aria-label', `Remove ${getLanguageLabel(lang)}`);
+        removeBtn.innerHTML = REMOVE_ICON;
+        removeBtn.disabled = state.isTranslating;
+        removeBtn.addEventListener('click', () => {
+            state.extraLangs = state.extraLangs.filter(extra => extra !== lang);
+            renderExtraLanguages();
+            syncQueue();
+        });
+
+        chip.appendChild(removeBtn);
+        fragment.appendChild(chip);
+    });
+
+    elements.extraLangs.replaceChildren(fragment);
+}
+
+function addExtraLanguage(input) {
+    if (!input.trim()) return;
+
+    const lang = resolveLanguage(input);
+    if (!lang) {
+        showToast(`Unknown language "${input.trim()}". Use a name or a code such as pt-BR.`);
+        return;
+    }
+
+    if (!getTargetLanguages().includes(lang)) {
+        state.extraLangs.push(lang);
+        renderExtraLanguages();
+        syncQueue();
+    }
+}
+
+// ============================================
+// Translation
+// ============================================
+
+/**
+ * Jobs the translate button processes: everything not yet translated,
+ * or the whole queue again once every job is done
+ * @returns {QueueItem[]} Jobs to translate
+ */
+function getItemsToTranslate() {
+    const remaining = state.queue.filter(item => item.status !== 'done');
+    return remaining.length > 0 ? remaining : state.queue;
+}
+
+function getTranslatedItems() {
+    return state.queue.filter(item => item.translatedSubtitle);
+}
+
+/**
+ * Line wrapping chosen in the settings
+ * @returns {{maxChars?: number}|null} Wrap options, or null to keep the model's line breaks
+ */
+function getLineWrap() {
+    if (elements.lineBreaks.value !== 'wrap') return null;
+    const maxChars = parseInt(elements.maxLineLength.value, 10);
+    return maxChars > 0 ? { maxChars } : {};
+}
+
+/**
+ * Read the context window around each batch
+ * @returns {{contextOverlap: number, lookAhead: number}} Entries before and after, defaults when blank
+ */
+function getBatchContext() {
+    const read = (input, fallback) => {
+        const value = parseInt(input.value, 10);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    return {
+        contextOverlap: read(elements.contextBefore, DEFAULT_CONFIG.contextOverlap),
+        lookAhead: read(elements.contextAfter, DEFAULT_CONFIG.lookAhead)
+    };
+}
+
+/**
+ * Run the queued jobs one after another with the same settings
+ * @param {boolean} [resume=false] - Continue jobs from their saved progress
+ */
+async function startQueue(resume = false) {
+    if (state.queue.length === 0 || state.isTranslating || !hasRequiredApiKey()) return;
+
+    const items = getItemsToTranslate();
+    const settings = {
+        sourceLang: elements.sourceLang.value,
+        batchSize: elements.batchSize.value === 'tokens' ? 'tokens' : parseInt(elements.batchSize.value, 10),
+        sceneBreaks: elements.batchBoundaries.value === 'scenes',
+        batchContext: getBatchContext(),
+        outputFormat: elements.outputFormat.value,
+        formality: elements.formality.value,
+        audience: elements.audience.value,
+        profanity: elements.profanity.value,
+        lineWrap: getLineWrap(),
+        rateLimits: getRateLimits(),
+        translationMemory: elements.useMemory.checked,
+        glossary: state.glossary
+    };
+    const provider = getProviderDefinition(state.provider);
+    const modelInfo = provider.type === 'mt' ? provider.name : `${provider.name} / ${getSelectedModel()}`;
+
+    // Set the provider and model
+    applyProviderToTranslator();
+
+    items.forEach(item => {
+        item.status = 'pending';
+    });
+
+    // Setup abort controller and pause switch
+    state.abortController = new AbortController();
+    state.pauseControl = createPauseControl();
+
+    // Show progress
+    hideResumeBanner();
+    setTranslating(true);
+    showProgress();
+
+    // Clear and show log
+    if (!resume) {
+        clearLog();
+    }
+    showLog();
+
+    if (items.length > 1) {
+        addLogEntry('request', `Queued ${items.length} translations`,
+            items.map(item => `${item.fileName} → ${getLanguageLabel(item.targetLang)}`).join('\n'));
+    }
+
+    let current = null;
+
+    try {
+        for (const [i, item] of items.entries()) {
+            current = item;
+            updateJobProgress(i + 1, items.length);
+            await translateItem(item, settings, modelInfo, resume ? item.savedProgress : null);
+        }
+
+        if (items.length > 1) {
+            addLogEntry('response', 'Queue complete!', `Successfully finished ${items.length} translations`);
+        }
+
+        // Show results
+        setTimeout(() => {
+            hideProgress();
+            selectItem(current);
+            showDownload();
+        }, 500);
+
+    } catch (error) {
+        if (state.abortController.signal.aborted) {
+            // Cancelled by the user, not an error
+            current.status = 'pending';
+            addLogEntry('response', `Translation of ${current.fileName} (${getLanguageLabel(current.targetLang)}) cancelled - progress saved`,
+                'You can resume from where it stopped.');
+            showToast('Translation cancelled. Progress saved - you can resume.');
+        } else {
+            console.error('Translation error:', error);
+            current.status = 'failed';
+            addLogEntry('error', `Translation of ${current.fileName} (${getLanguageLabel(current.targetLang)}) failed - progress saved`,
+                error.message + '\n\nYou can resume from where it stopped.');
+            showToast(error.message || 'Translation failed. Progress saved - you can resume.');
+        }
+        hideProgress();
+    } finally {
+        state.abortController = null;
+        state.pauseControl = null;
+        setTranslating(false);
+        refreshMemory();
+
+        // Check if we have saved progress and show resume button
+        checkForSavedProgress();
+        refreshSavedJobs();
+    }
+}
+
+/**
+ * Correct the token estimate of a job with the provider's own token count
+ * Providers that cannot count, and failed counts, keep the local estimate
+ * @param {QueueItem} item - Job to translate
+ * @returns {Promise<number>} Factor to multiply estimates by
+ */
+async function getTokenScale(item) {
+    try {
+        const scale = await calibrateTokenEstimate(state.apiKey, item.parsedSubtitle.entries, state.abortController?.signal);
+        if (scale === null) return 1;
+        addLogEntry('response', `Token estimate calibrated: ×${scale.toFixed(2)}`, 'Measured with the provider\'s countTokens endpoint');
+        return scale;
+    } catch (error) {
+        // Cancelled: the translation run stops on the same signal
+        if (state.abortController?.signal.aborted) return 1;
+        addLogEntry('waiting', 'Could not count tokens - using the local estimate', error.message);
+        return 1;
+    }
+}
+
+/**
+ * Translate one queued job
+ * @param {QueueItem} item - Job to translate
+ * @param {Object} settings - Settings shared by the whole queue
+ * @param {string} modelInfo - Provider and model shown in the log
+ * @param {Object|null} [resumeData=null] - Saved progress to continue from
+ */
+async function translateItem(item, settings, modelInfo, resumeData = null) {
+    const { batchSize, sceneBreaks, batchContext, outputFormat, formality, audience, profanity, lineWrap, rateLimits, translationMemory, glossary } = settings;
+    const targetLang = item.targetLang;
+    const sourceLang = resolveSourceLanguage(item, settings.sourceLang);
+    const subtitleFormat = item.fileFormat;
+    const sourceInfo = sourceLang
+        ? `${getLanguageLabel(sourceLang)}${settings.sourceLang === 'auto' ? ' (auto-detected)' : ''}`
+        : 'Unknown (not detected)';
+    const label = `${item.fileName} → ${getLanguageLabel(targetLang)}`;
+    const translationOptions = { outputFormat, glossary, sourceLang, formality, audience, profanity, subtitleFormat, lineWrap, rateLimits, translationMemory };
+
+    // Progress is saved under the file's content, the target language and the model
+    const modelId = getCurrentModelId();
+    const jobId = getJobId(await getContentHash(item.source), targetLang, modelId);
+    // A job resumed from another model's save, or an older version's, moves to this key
+    let replacedJobId = resumeData && resumeData.id !== jobId ? resumeData.id : null;
+
+    // Create batches
+    const promptTokens = estimatePromptTokens(targetLang, translationOptions);
+    const tokenScale = batchSize === 'tokens' ? await getTokenScale(item) : 1;
+    const budget = getTokenBudget(getModel());
+    const batches = batchSize === 'tokens'
+        ? createTokenBatches(item.parsedSubtitle.entries, { budget, targetLang, promptTokens, tokenScale, ...batchContext })
+        : createBatches(item.parsedSubtitle.entries, batchSize, { sceneBreaks, ...batchContext });
+    const stats = getBatchStats(batches, { targetLang, promptTokens, tokenScale });
+    const batchInfo = batchSize === 'tokens'
+        ? `token budget (${budget.input} in / ${budget.output} out per request)`
+        : sceneBreaks ? `up to ${batchSize}, ending at scene breaks` : batchSize;
+    const contextInfo = `${batchContext.contextOverlap} before, ${batchContext.lookAhead} after`;
+
+    // Resume settings
+    let startFromBatch = 0;
+    let existingEntries = [];
+    let completedEntries = 0;
+
+    if (resumeData) {
+        // Continue at the batch holding the first untranslated subtitle; the batches
+        // may differ from the saved run's if the batch size or token budget changed
+        const savedEntries = resumeData.translatedEntries || [];
+        startFromBatch = batches.findIndex(batch => batch.endIndex > savedEntries.length);
+        if (startFromBatch === -1) {
+            startFromBatch = batches.length;
+        }
+        existingEntries = savedEntries.slice(0, batches[startFromBatch]?.startIndex ?? savedEntries.length);
+        completedEntries = existingEntries.length;
+    }
+
+    item.status = 'translating';
+    item.completedBatches = startFromBatch;
+    item.totalBatches = stats.totalBatches;
+    renderQueue();
+    updateProgress(startFromBatch, stats.totalBatches, completedEntries, stats.totalEntries);
+
+    if (resumeData) {
+        addLogEntry('response', `Resuming ${label} from batch ${startFromBatch + 1}`,
+            `${completedEntries} subtitles already translated\n${stats.totalEntries - completedEntries} remaining\nModel: ${modelInfo}`);
+    } else {
+        addLogEntry('request', `Starting ${label}: ${stats.totalEntries} subtitles in ${stats.totalBatches} batches`,
+            `Source language: ${sourceInfo}\nTarget language: ${getLanguageLabel(targetLang)}\nStyle: ${formality} formality, ${audience} audience, ${profanity} profanity\nLine breaks: ${lineWrap ? `re-wrapped, max ${lineWrap.maxChars || 'auto'} characters` : 'as translated'}\nBatch size: ${batchInfo}\nContext lines: ${contextInfo}\nResponse format: ${outputFormat === 'json' ? 'JSON' : 'plain text'}\nRequest budget: ${describeRateLimits(rateLimits)}\nTranslation memory: ${translationMemory ? 'on' : 'off'}\nProjected tokens: ~${stats.inputTokens} in, ~${stats.outputTokens} out\nModel: ${modelInfo}`);
+    }
+
+    const forcedBatches = batches.slice(startFromBatch).filter(batch => batch.forced);
+    if (forcedBatches.length > 0) {
+        addLogEntry('waiting', `${forcedBatches.length} batches had to end inside a dialogue exchange`,
+            forcedBatches.map(batch => `Batch ${batch.index + 1} ends after subtitle ${batch.entries[batch.entries.length - 1].index}`).join('\n'));
+    }
+
+    // Translate all batches
+    const translatedEntries = await translateAllBatches(
+        state.apiKey,
+        batches,
+        targetLang,
+        (completedBatches, totalBatches, batchEntries, statusText) => {
+            if (batchEntries > 0) {
+                completedEntries += batchEntries;
+            }
+            item.completedBatches = completedBatches;
+            renderQueue();
+            updateProgress(completedBatches, totalBatches, completedEntries, stats.totalEntries, statusText);
+        },
+        state.abortController.signal,
+        // Log callback
+        (type, message, details, batchInfo) => {
+            addLogEntry(type, message, details, batchInfo);
+        },
+        // Save progress callback
+        (completedBatches, allEntries, failed = false) => {
+            saveJob({
+                contentHash: item.source.contentHash,
+                fileName: item.fileName,
+                fileFormat: item.fileFormat,
+                bytes: item.source.bytes,
+                encoding: item.source.encoding,
+                sourceLang,
+                targetLang,
+                model: modelId,
+                batchSize,
+                totalBatches: stats.totalBatches,
+                completedBatches,
+                totalEntries: stats.totalEntries,
+                translatedEntries: [...allEntries],
+                failed
+            }).then(() => {
+                if (replacedJobId) {
+                    const id = replacedJobId;
+                    replacedJobId = null;
+                    return deleteJob(id);
+                }
+            }).then(() => {
+                if (!failed) {
+                    addLogEntry('response', `Progress saved (${completedBatches}/${stats.totalBatches} batches)`, null);
+                }
+            }).catch(error => {
+                console.warn('Could not save progress:', error);
+                addLogEntry('error', 'Could not save progress', error.message);
+            });
+        },
+        startFromBatch,
+        existingEntries,
+        { ...translationOptions, pause: state.pauseControl }
+    );
+
+    // Create translated subtitle object (keeps the VTT header and ASS sections)
+    item.translatedSubtitle = {
+        ...item.parsedSubtitle,
+        entries: translatedEntries
+    };
+
+    // Remembered for re-translating cues from the editor
+    item.translationSettings = { sourceLang, targetLang, outputFormat, formality, audience, profanity, subtitleFormat, lineWrap };
+    item.status = 'done';
+    item.savedProgress = null;
+
+    // Clear saved progress on success
+    try {
+        await Promise.all([jobId, replacedJobId].filter(Boolean).map(deleteJob));
+    } catch (error) {
+        console.warn('Could not delete saved progress:', error);
+    }
+
+    // Update UI
+    renderQueue();
+    updateProgress(stats.totalBatches, stats.totalBatches, stats.totalEntries, stats.totalEntries);
+
+    // Log completion
+    addLogEntry('response', `Translation complete: ${label}`, `Successfully translated ${stats.totalEntries} subtitles`);
+}
+
+// Counts checks for saved progress, so an older check finishing late changes nothing
+let savedProgressCheck = 0;
+
+/**
+ * Check queued jobs for saved progress and show resume option
+ * A job matches a save of the same file content, target language and model
+ */
+async function checkForSavedProgress() {
+    if (state.isTranslating) return;
+
+    const check = ++savedProgressCheck;
+    const modelId = getCurrentModelId();
+    const items = state.queue.filter(item => item.status !== 'done');
+
+    let saved;
+    try {
+        saved = await Promise.all(items.map(async item =>
+            loadJob(getJobId(await getContentHash(item.source), item.targetLang, modelId))));
+    } catch (error) {
+        console.warn('Could not load saved progress:', error);
+        saved = items.map(() => null);
+    }
+
+    if (check !== savedProgressCheck || state.isTranslating) return;
+
+    items.forEach((item, i) => {
+        item.savedProgress = isResumable(saved[i]) ? saved[i] : null;
+    });
+    const resumable = items.filter(item => item.savedProgress && state.queue.includes(item));
+
+    if (resumable.length > 0) {
+        showResumeOption(resumable);
+    } else {
+        hideResumeBanner();
+    }
+
+    renderQueue();
+    updateTranslateButton();
+}
+
+/**
+ * Show resume option UI
+ * @param {QueueItem[]} items - Jobs with saved progress
+ */
+function showResumeOption(items) {
+    const saved = items[0].savedProgress;
+    const resumeInfo = items.length === 1
+        ? `${items[0].fileName} (${getLanguageLabel(items[0].targetLang)}): ${saved.completedBatches}/${saved.totalBatches} batches (${saved.translatedEntries.length} subtitles)`
+        : `${items.length} translations have saved progress`;
+
+    // Create resume banner if it doesn't exist
+    let resumeBanner = document.getElementById('resumeBanner');
     if (!resumeBanner) {
         resumeBanner = document.createElement('div');
         resumeBanner.id = 'resumeBanner';
@@ -550,72 +1791,959 @@ function showResumeOption(saved) {
                 </div>
             </div>
             <div class="resume-actions">
-                <button type="button" class="btn-resume" id="resumeBtn">Resume</button>
+                <button type="button" class="btn-resume" id="resumeSavedBtn">Resume</button>
                 <button type="button" class="btn-discard" id="discardBtn">Discard</button>
             </div>
         `;
 
-        // Insert after translate button
-        elements.translateBtn.parentNode.insertBefore(resumeBanner, elements.translateBtn.nextSibling);
+        // Insert after translate button
+        elements.translateBtn.parentNode.insertBefore(resumeBanner, elements.translateBtn.nextSibling);
+
+        // Add event listeners
+        document.getElementById('resumeSavedBtn').addEventListener('click', () => {
+            hideResumeBanner();
+            startQueue(true);
+        });
+
+        document.getElementById('discardBtn').addEventListener('click', async () => {
+            const ids = state.queue.filter(item => item.savedProgress).map(item => item.savedProgress.id);
+            state.queue.forEach(item => {
+                item.savedProgress = null;
+            });
+            hideResumeBanner();
+            renderQueue();
+
+            try {
+                await Promise.all(ids.map(deleteJob));
+            } catch (error) {
+                console.warn('Could not delete saved progress:', error);
+            }
+            refreshSavedJobs();
+        });
+    }
+
+    document.getElementById('resumeInfo').textContent = resumeInfo;
+    resumeBanner.hidden = false;
+}
+
+/**
+ * Hide resume banner
+ */
+function hideResumeBanner() {
+    const resumeBanner = document.getElementById('resumeBanner');
+    if (resumeBanner) {
+        resumeBanner.hidden = true;
+    }
+}
+
+// ============================================
+// Saved Jobs
+// ============================================
+
+// Saved jobs: translated subtitles shown in a job's details
+const SAVED_JOB_SAMPLE = 5;
+
+/**
+ * Reload the saved jobs from IndexedDB and show them
+ */
+async function refreshSavedJobs() {
+    try {
+        state.savedJobs = await getAllJobs();
+    } catch (error) {
+        console.warn('Could not load saved jobs:', error);
+        state.savedJobs = [];
+    }
+    renderSavedJobs();
+}
+
+/**
+ * Describe a saved job for its details view
+ * @param {import('./jobs.js').SavedJob} job - Saved job
+ * @returns {string} Details text
+ */
+function describeSavedJob(job) {
+    const sample = job.translatedEntries.slice(-SAVED_JOB_SAMPLE).map(entry => `[${entry.index}] ${entry.text.replace(/\n/g, ' / ')}`);
+    return [
+        `Source language: ${job.sourceLang ? getLanguageLabel(job.sourceLang) : 'Unknown'}`,
+        `Format: ${SUBTITLE_FORMATS[job.fileFormat]?.name || job.fileFormat}, ${getEncodingLabel(job.encoding)}`,
+        `Model: ${job.model || 'not recorded'}`,
+        `Batch size: ${job.batchSize}`,
+        `Content hash: ${job.contentHash.slice(0, 16)}…`,
+        '',
+        sample.length > 0 ? `Last translated subtitles:\n${sample.join('\n')}` : 'No subtitles translated yet'
+    ].join('\n');
+}
+
+function renderSavedJobs() {
+    elements.savedJobsCard.hidden = state.savedJobs.length === 0;
+    elements.savedJobsCount.textContent = state.savedJobs.length > 0 ? `(${state.savedJobs.length})` : '';
+
+    const fragment = document.createDocumentFragment();
+    state.savedJobs.forEach(job => {
+        const row = document.createElement('div');
+        row.className = 'saved-job';
+
+        const info = document.createElement('div');
+        info.className = 'saved-job-info';
+
+        const name = document.createElement('span');
+        name.className = 'saved-job-name';
+        name.textContent = `${job.fileName} → ${getLanguageLabel(job.targetLang)}`;
+
+        const meta = document.createElement('span');
+        meta.className = `saved-job-meta${job.failed ? ' failed' : ''}`;
+        meta.textContent = [
+            `${job.completedBatches}/${job.totalBatches} batches`,
+            `${job.translatedEntries.length}/${job.totalEntries} subtitles`,
+            job.model || 'model not recorded',
+            `saved ${new Date(job.savedAt).toLocaleString()}`,
+            job.failed ? 'stopped on an error' : ''
+        ].filter(Boolean).join(' • ');
+
+        info.append(name, meta);
+
+        const details = document.createElement('pre');
+        details.className = 'saved-job-details';
+        details.textContent = describeSavedJob(job);
+        details.hidden = true;
+
+        const actions = document.createElement('div');
+        actions.className = 'saved-job-actions';
+        [
+            ['Resume', () => resumeSavedJob(job), true],
+            ['Details', () => {
+                details.hidden = !details.hidden;
+            }, false],
+            ['Delete', () => removeSavedJob(job), true]
+        ].forEach(([label, onClick, lockedWhileTranslating]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-secondary';
+            button.textContent = label;
+            button.disabled = lockedWhileTranslating && state.isTranslating;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        });
+
+        row.append(info, actions, details);
+        fragment.appendChild(row);
+    });
+
+    elements.savedJobsList.replaceChildren(fragment);
+}
+
+/**
+ * Resume a saved job, queueing its file and target language first if needed
+ * The file is rebuilt from the saved copy, so it does not have to be uploaded again
+ * @param {import('./jobs.js').SavedJob} job - Saved job
+ */
+async function resumeSavedJob(job) {
+    if (state.isTranslating) return;
+    if (!hasRequiredApiKey()) {
+        showToast('Enter your API key to resume the translation.');
+        return;
+    }
+
+    let source = null;
+    try {
+        const hashes = await Promise.all(state.files.map(getContentHash));
+        source = state.files[hashes.indexOf(job.contentHash)] || null;
+
+        if (!source) {
+            const parsed = parseFileBytes(job.fileName, job.bytes, job.encoding);
+            source = addToQueue(new File([job.bytes], job.fileName), parsed, job.bytes, job.encoding);
+            source.contentHash = job.contentHash;
+        }
+    } catch (error) {
+        showToast(`Could not restore ${job.fileName}.`);
+        console.error('Saved job error:', error);
+        return;
+    }
+
+    if (!getTargetLanguages().includes(job.targetLang)) {
+        state.extraLangs.push(job.targetLang);
+        renderExtraLanguages();
+        syncQueue();
+    }
+
+    // Settle the queue's own check first, then resume from this save whatever its model
+    await checkForSavedProgress();
+    const item = state.queue.find(queued => queued.source === source && queued.targetLang === job.targetLang);
+    if (!item || state.isTranslating) return;
+
+    item.status = 'pending';
+    item.savedProgress = job;
+    selectItem(item);
+    hideResumeBanner();
+    startQueue(true);
+}
+
+/**
+ * Delete a saved job
+ * @param {import('./jobs.js').SavedJob} job - Saved job
+ */
+async function removeSavedJob(job) {
+    try {
+        await deleteJob(job.id);
+    } catch (error) {
+        showToast('Could not delete the saved job.');
+        console.error('Saved job error:', error);
+        return;
+    }
+
+    await refreshSavedJobs();
+    checkForSavedProgress();
+}
+
+// ============================================
+// Editor
+// ============================================
+
+const editor = createSubtitleEditor({
+    list: elements.editorList,
+    searchInput: elements.editorSearch,
+    retranslateButton: elements.retranslateSelected,
+    selectionInfo: elements.editorSelectionInfo,
+    onChange: () => {
+        elements.translatedPreview.textContent = createPreview(state.activeItem.translatedSubtitle.entries, 15);
+        updateQC();
+    },
+    onRetranslate: retranslateEntries
+});
+
+/**
+ * Group sorted positions into contiguous runs
+ * @param {number[]} positions - Sorted entry positions
+ * @returns {Array<number[]>} Runs of consecutive positions
+ */
+function groupContiguous(positions) {
+    const runs = [];
+    for (const position of positions) {
+        const run = runs[runs.length - 1];
+        if (run && position === run[run.length - 1] + 1) {
+            run.push(position);
+        } else {
+            runs.push([position]);
+        }
+    }
+    return runs;
+}
+
+/**
+ * Re-translate individual cues with the current provider and model
+ * @param {number[]} positions - Sorted entry positions to re-translate
+ * @param {boolean} [shorten=false] - Ask for translations that fit the QC limits
+ */
+async function retranslateEntries(positions, shorten = false) {
+    const item = state.activeItem;
+    if (!item || !item.translatedSubtitle || !item.translationSettings || state.isTranslating) return;
+
+    if (!hasRequiredApiKey()) {
+        showToast('Please enter an API key first.');
+        return;
+    }
+
+    const { targetLang, ...translationOptions } = item.translationSettings;
+    const originals = item.parsedSubtitle.entries;
+    const translations = item.translatedSubtitle.entries;
+    const { contextOverlap, lookAhead } = getBatchContext();
+
+    applyProviderToTranslator();
+    showLog();
+
+    for (const run of groupContiguous(positions)) {
+        const start = run[0];
+        const end = run[run.length - 1] + 1;
+        const contextStart = Math.max(0, start - contextOverlap);
+        const batch = {
+            index: 0,
+            entries: originals.slice(start, end),
+            contextEntries: originals.slice(contextStart, start),
+            followingEntries: originals.slice(end, end + lookAhead),
+            startIndex: start,
+            endIndex: end
+        };
+        const range = run.length > 1
+            ? `${originals[start].index}-${originals[end - 1].index}`
+            : `${originals[start].index}`;
+        const lengthLimits = shorten ? getLengthLimits(batch.entries, getQcThresholds()) : undefined;
+
+        addLogEntry('request', `${shorten ? 'Shortening' : 'Re-translating'} cue ${range}`, batch.entries.map(e => `[${e.index}] ${e.text}`).join('\n'));
+
+        try {
+            const { entries: translated, flagged } = await retranslateBatch(
+                state.apiKey,
+                batch,
+                targetLang,
+                translations.slice(contextStart, start),
+                addLogEntry,
+                {
+                    ...translationOptions,
+                    glossary: state.glossary,
+                    lengthLimits,
+                    rateLimits: getRateLimits(),
+                    translationMemory: elements.useMemory.checked
+                }
+            );
+
+            // Write back by subtitle index; cues that still fail validation keep their text
+            const flaggedIndexes = new Set(flagged.map(issue => issue.index));
+            const accepted = translated.filter(entry => !flaggedIndexes.has(entry.index));
+            const acceptedByIndex = new Map(accepted.map(entry => [entry.index, entry]));
+            run.forEach(position => {
+                const entry = acceptedByIndex.get(translations[position].index);
+                if (entry) {
+                    translations[position].text = entry.text;
+                }
+            });
+            editor.refresh(run);
+
+            if (accepted.length > 0) {
+                addLogEntry('response', `Re-translated cue ${range}`, accepted.map(e => `[${e.index}] ${e.text}`).join('\n'));
+            }
+            if (flagged.length > 0) {
+                addLogEntry('flagged', `${flagged.length} cues failed validation and were left unchanged`, formatIssues(flagged));
+            }
+        } catch (error) {
+            console.error('Re-translation error:', error);
+            addLogEntry('error', `Re-translation of cue ${range} failed`, error.message);
+            showToast(error.message || 'Re-translation failed.');
+            break;
+        }
+    }
+
+    elements.translatedPreview.textContent = createPreview(translations, 15);
+    updateQC();
+}
+
+// ============================================
+// Quality Checks
+// ============================================
+
+const QC_INPUTS = {
+    maxCps: 'qcMaxCps',
+    maxCpl: 'qcMaxCpl',
+    maxLines: 'qcMaxLines',
+    minDuration: 'qcMinDuration',
+    maxDuration: 'qcMaxDuration'
+};
+
+// Results of the last QC pass over the shown translation
+let qcResults = [];
+
+/**
+ * Fill the QC inputs from saved settings or the default preset
+ */
+function populateQcSettings() {
+    Object.entries(QC_PRESETS).forEach(([id, preset]) => {
+        elements.qcPreset.appendChild(new Option(preset.name, id));
+    });
+    elements.qcPreset.appendChild(new Option('Custom', ''));
+
+    const saved = loadQcSettings();
+    const preset = saved && saved.preset in QC_PRESETS ? saved.preset : DEFAULT_QC_PRESET;
+    setQcThresholds(saved?.thresholds || QC_PRESETS[preset]);
+    elements.qcPreset.value = saved ? saved.preset : preset;
+}
 
-        // Add event listeners
-        document.getElementById('resumeBtn').addEventListener('click', () => {
-            const savedProgress = loadProgress();
-            if (savedProgress) {
-                hideResumeBanner();
-                startTranslation(savedProgress);
-            }
+/**
+ * @param {import('./qc.js').QcThresholds} thresholds - Limits to show
+ */
+function setQcThresholds(thresholds) {
+    Object.entries(QC_INPUTS).forEach(([key, id]) => {
+        elements[id].value = thresholds[key];
+    });
+}
+
+/**
+ * Read the QC limits; empty or invalid fields fall back to the default preset
+ * @returns {import('./qc.js').QcThresholds} Limits
+ */
+function getQcThresholds() {
+    return Object.fromEntries(Object.entries(QC_INPUTS).map(([key, id]) => {
+        const value = parseFloat(elements[id].value);
+        return [key, value >= 0 ? value : QC_PRESETS[DEFAULT_QC_PRESET][key]];
+    }));
+}
+
+function applyQcPreset() {
+    const preset = QC_PRESETS[elements.qcPreset.value];
+    if (preset) {
+        setQcThresholds(preset);
+    }
+    saveQcSettings({ preset: elements.qcPreset.value, thresholds: getQcThresholds() });
+    updateQC();
+}
+
+function updateQcThresholds() {
+    elements.qcPreset.value = '';
+    saveQcSettings({ preset: '', thresholds: getQcThresholds() });
+    updateQC();
+}
+
+/**
+ * Check the shown translation against the QC limits and flag problems in the editor
+ */
+function updateQC() {
+    const item = state.activeItem;
+    if (!item || !item.translatedSubtitle) return;
+
+    qcResults = runQC(item.translatedSubtitle.entries, getQcThresholds(), item.fileFormat);
+    editor.setIssues(new Map(qcResults.map(result => [result.position, result.issues])));
+
+    const count = qcResults.length;
+    elements.qcStatus.textContent = count > 0
+        ? `${count} subtitle${count === 1 ? '' : 's'} outside the limits`
+        : 'All subtitles within the limits';
+    elements.qcStatus.classList.toggle('has-issues', count > 0);
+
+    const tooLong = qcResults.filter(needsShortening).length;
+    elements.shortenFlagged.textContent = tooLong > 0 ? `Shorten ${tooLong} long subtitle${tooLong === 1 ? '' : 's'}` : 'Shorten long subtitles';
+    elements.shortenFlagged.disabled = tooLong === 0 || state.isTranslating;
+}
+
+/**
+ * Re-wrap the shown translation with the current line length
+ */
+function rewrapTranslation() {
+    const item = state.activeItem;
+    if (!item || !item.translatedSubtitle) return;
+
+    const maxChars = getLineWrap()?.maxChars;
+    const translations = item.translatedSubtitle.entries;
+    translations.forEach(entry => {
+        entry.text = wrapText(entry.text, { maxChars, lang: item.targetLang });
+    });
+
+    editor.refresh(translations.map((_, position) => position));
+    elements.translatedPreview.textContent = createPreview(translations, 15);
+    updateQC();
+}
+
+/**
+ * Re-request shorter translations for the subtitles that are too long to read
+ */
+async function shortenFlaggedEntries() {
+    const positions = qcResults.filter(needsShortening).map(result => result.position);
+    if (positions.length === 0) return;
+
+    elements.shortenFlagged.disabled = true;
+    editor.setBusy(true, positions);
+    try {
+        await retranslateEntries(positions, true);
+    } finally {
+        editor.setBusy(false, positions);
+        updateQC();
+    }
+}
+
+// ============================================
+// Glossary
+// ============================================
+
+function renderGlossary() {
+    elements.glossaryCount.textContent = state.glossary.length > 0 ? `(${state.glossary.length})` : '';
+
+    const fragment = document.createDocumentFragment();
+    state.glossary.forEach((term, i) => {
+        const row = document.createElement('div');
+        row.className = 'glossary-row';
+
+        ['source', 'target', 'note'].forEach(field => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = term[field] || '';
+            input.placeholder = field === 'note' ? 'Note (optional)' : '';
+            input.addEventListener('change', () => {
+                state.glossary[i][field] = input.value.trim();
+                saveGlossary(state.glossary);
+            });
+            row.appendChild(input);
         });
 
-        document.getElementById('discardBtn').addEventListener('click', () => {
-            clearProgress();
-            hideResumeBanner();
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn-remove';
+        removeBtn.setAttribute('aria-label', 'Remove term');
+        removeBtn.innerHTML = `
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+        `;
+        removeBtn.addEventListener('click', () => {
+            state.glossary.splice(i, 1);
+            saveGlossary(state.glossary);
+            renderGlossary();
         });
-    }
+        row.appendChild(removeBtn);
 
-    document.getElementById('resumeInfo').textContent = resumeInfo;
-    resumeBanner.hidden = false;
+        fragment.appendChild(row);
+    });
+
+    elements.glossaryList.replaceChildren(fragment);
+}
+
+function addGlossaryTerm(e) {
+    e.preventDefault();
+
+    const term = {
+        source: elements.glossarySource.value.trim(),
+        target: elements.glossaryTarget.value.trim(),
+        note: elements.glossaryNote.value.trim()
+    };
+    if (!term.source || !term.target) return;
+
+    state.glossary = mergeGlossaries(state.glossary, [term]);
+    saveGlossary(state.glossary);
+    renderGlossary();
+
+    elements.glossaryAddForm.reset();
+    elements.glossarySource.focus();
+}
+
+function importGlossaryFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+        try {
+            const imported = parseGlossaryFile(file.name, e.target.result);
+            if (imported.length === 0) {
+                showToast('No glossary terms found in the file.');
+                return;
+            }
+            state.glossary = mergeGlossaries(state.glossary, imported);
+            saveGlossary(state.glossary);
+            renderGlossary();
+        } catch (error) {
+            showToast('Error parsing glossary file. Use CSV (source,target,note) or JSON.');
+            console.error('Glossary import error:', error);
+        }
+    };
+
+    reader.readAsText(file);
 }
 
+// ============================================
+// Translation Memory
+// ============================================
+
+// Translation memory: rows shown at once; search to find the others
+const MEMORY_LIST_LIMIT = 200;
+
 /**
- * Hide resume banner
+ * Reload the translation memory from IndexedDB and show it
  */
-function hideResumeBanner() {
-    const resumeBanner = document.getElementById('resumeBanner');
-    if (resumeBanner) {
-        resumeBanner.hidden = true;
+async function refreshMemory() {
+    try {
+        state.memory = await getAllMemory();
+    } catch (error) {
+        console.warn('Could not load translation memory:', error);
+        state.memory = [];
+        elements.memoryStatus.textContent = 'Translation memory is unavailable in this browser.';
+    }
+    renderMemory();
+}
+
+function renderMemory() {
+    elements.memoryCount.textContent = state.memory.length > 0 ? `(${state.memory.length})` : '';
+
+    const query = elements.memorySearch.value.trim().toLowerCase();
+    const matches = query
+        ? state.memory.filter(entry => entry.source.toLowerCase().includes(query) || entry.target.toLowerCase().includes(query))
+        : state.memory;
+
+    const fragment = document.createDocumentFragment();
+    matches.slice(0, MEMORY_LIST_LIMIT).forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'memory-row';
+
+        const source = document.createElement('div');
+        source.className = 'memory-text';
+        source.textContent = entry.source;
+        source.dir = 'auto';
+
+        const target = document.createElement('div');
+        target.className = 'memory-text';
+        target.textContent = entry.target;
+        target.dir = getDirection(entry.targetLang);
+
+        const meta = document.createElement('div');
+        meta.className = 'memory-meta';
+        const langs = `${entry.sourceLang ? getLanguageLabel(entry.sourceLang) : 'Unknown'} → ${getLanguageLabel(entry.targetLang)}`;
+        meta.textContent = `${langs} · ${entry.model === ANY_MODEL ? 'any model' : entry.model}${entry.style ? ' · custom style' : ''}`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn-remove';
+        removeBtn.setAttribute('aria-label', 'Remove translation');
+        removeBtn.innerHTML = `
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+        `;
+        removeBtn.addEventListener('click', async () => {
+            try {
+                await deleteMemoryEntry(entry.key);
+                state.memory = state.memory.filter(item => item.key !== entry.key);
+                renderMemory();
+            } catch (error) {
+                showToast('Could not remove the translation.');
+                console.error('Translation memory error:', error);
+            }
+        });
+
+        row.append(source, target, meta, removeBtn);
+        fragment.appendChild(row);
+    });
+
+    elements.memoryList.replaceChildren(fragment);
+
+    if (matches.length > MEMORY_LIST_LIMIT) {
+        elements.memoryStatus.textContent = `Showing ${MEMORY_LIST_LIMIT} of ${matches.length} translations - search to narrow the list.`;
+    } else if (query && matches.length === 0) {
+        elements.memoryStatus.textContent = 'No translations match the search.';
+    } else {
+        elements.memoryStatus.textContent = '';
+    }
+}
+
+function importMemoryFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = async (e) => {
+        try {
+            const entries = parseMemoryFile(file.name, e.target.result);
+            if (entries.length === 0) {
+                showToast('No translations found in the file.');
+                return;
+            }
+            const added = await importMemory(entries);
+            showToast(`Imported ${added} of ${entries.length} translations.`);
+            await refreshMemory();
+        } catch (error) {
+            showToast('Error importing translation memory. Use TMX or JSON exported from this app.');
+            console.error('Translation memory import error:', error);
+        }
+    };
+
+    reader.readAsText(file);
+}
+
+async function clearAllMemory() {
+    if (state.memory.length === 0) return;
+    if (!confirm(`Delete all ${state.memory.length} saved translations? Export the memory first to keep a copy.`)) return;
+
+    try {
+        await clearMemory();
+        state.memory = [];
+        renderMemory();
+    } catch (error) {
+        showToast('Could not clear the translation memory.');
+        console.error('Translation memory error:', error);
     }
 }
 
 // ============================================
-// Download
+// Timing
 // ============================================
 
-function downloadTranslation() {
-    if (!state.translatedSubtitle) return;
+function populateFrameRates() {
+    FRAME_RATES.forEach(rate => {
+        elements.fpsFrom.appendChild(new Option(`${rate} fps`, rate));
+        elements.fpsTo.appendChild(new Option(`${rate} fps`, rate));
+    });
+    elements.fpsFrom.value = '23.976';
+    elements.fpsTo.value = '25';
+}
+
+/**
+ * Re-time the shown file and every translation of it
+ * @param {(ms: number) => number} map - Time mapping from timing.js
+ * @param {string} description - What was done, for the toast
+ */
+function applyTiming(map, description) {
+    const source = state.activeItem?.source;
+    if (!source) return;
+
+    const clamped = retime(source.parsedSubtitle, map);
+    state.queue
+        .filter(job => job.source === source && job.translatedSubtitle)
+        .forEach(job => retime(job.translatedSubtitle, map));
+
+    selectItem(state.activeItem);
+    showToast(clamped > 0
+        ? `${description}. ${clamped} subtitle${clamped === 1 ? '' : 's'} would start before 0:00 and ${clamped === 1 ? 'was' : 'were'} moved to 0:00.`
+        : `${description}.`);
+}
+
+function shiftTiming(e) {
+    e.preventDefault();
+    const offset = parseInt(elements.shiftOffset.value, 10);
+    if (!offset) return;
 
-    const content = generateSubtitle(state.translatedSubtitle);
-    const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
+    applyTiming(createShift(offset), `Shifted ${state.activeItem.fileName} by ${offset > 0 ? '+' : ''}${offset} ms`);
+}
 
-    // Create filename
-    const originalName = state.fileName;
-    const dotIndex = originalName.lastIndexOf('.');
-    const baseName = dotIndex > 0 ? originalName.substring(0, dotIndex) : originalName;
-    const extension = state.fileFormat === 'vtt' ? '.vtt' : '.srt';
-    const targetLang = elements.targetLang.value;
-    const newFileName = `${baseName}_${targetLang}${extension}`;
+function convertTimingFrameRate(e) {
+    e.preventDefault();
+    const fromRate = parseFloat(elements.fpsFrom.value);
+    const toRate = parseFloat(elements.fpsTo.value);
+    if (fromRate === toRate) return;
+
+    applyTiming(createFrameRateConversion(fromRate, toRate),
+        `Converted ${state.activeItem.fileName} from ${fromRate} to ${toRate} fps`);
+}
+
+/**
+ * Find a cue of the shown file by its number
+ * @param {string} value - Cue number as typed
+ * @returns {Object|undefined} Original entry
+ */
+function findCue(value) {
+    const index = parseInt(value, 10);
+    return state.activeItem?.parsedSubtitle.entries.find(entry => entry.index === index);
+}
+
+/**
+ * Show a reference cue's current start time as the placeholder of its time input
+ * @param {HTMLInputElement} cueInput - Cue number input
+ * @param {HTMLInputElement} timeInput - Matching time input
+ */
+function showCueStart(cueInput, timeInput) {
+    const cue = findCue(cueInput.value);
+    timeInput.placeholder = cue ? cue.startTime : '00:00:00,000';
+}
+
+function resyncTiming(e) {
+    e.preventDefault();
+
+    const points = [
+        [elements.syncCueA, elements.syncTimeA],
+        [elements.syncCueB, elements.syncTimeB]
+    ].map(([cueInput, timeInput]) => {
+        const cue = findCue(cueInput.value);
+        return cue && { from: timestampToMs(cue.startTime), to: timestampToMs(timeInput.value) };
+    });
+
+    if (points.some(point => !point)) {
+        showToast('Enter the numbers of two subtitles in the selected file.');
+        return;
+    }
+    if (points.some(point => isNaN(point.to))) {
+        showToast('Enter the new start times like 00:01:23,456.');
+        return;
+    }
+
+    try {
+        applyTiming(createResync(points[0], points[1]), `Resynced ${state.activeItem.fileName}`);
+    } catch (error) {
+        showToast(error.message);
+    }
+}
+
+// ============================================
+// Download
+// ============================================
 
-    // Create download link
+/**
+ * Offer content as a file download
+ * @param {string|Uint8Array|Blob} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} [type='text/plain;charset=utf-8'] - MIME type for string or byte content
+ */
+function downloadFile(content, fileName, type = 'text/plain;charset=utf-8') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = newFileName;
+    a.download = fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
 }
 
+function populateSaveFormats() {
+    elements.saveFormat.appendChild(new Option('Original format', ''));
+    Object.entries(SUBTITLE_FORMATS).forEach(([id, format]) => {
+        elements.saveFormat.appendChild(new Option(`${format.name} (${format.extensions[0]})`, id));
+    });
+}
+
+function populateOutputEncodings() {
+    OUTPUT_ENCODINGS.forEach(option => {
+        elements.outputEncoding.appendChild(new Option(option.label, option.value));
+    });
+    elements.outputEncoding.value = loadOutputEncoding();
+    if (!elements.outputEncoding.value) {
+        elements.outputEncoding.value = 'utf-8';
+    }
+}
+
+/**
+ * Right-to-left output options chosen in the download card
+ * @returns {{marks: string, characters: string, digits: string}} Options for prepareRTLText()
+ */
+function getRtlOptions() {
+    return {
+        marks: elements.directionMarks.value,
+        characters: elements.rtlCharacters.value,
+        digits: elements.rtlDigits.value
+    };
+}
+
+function populateRtlOptions() {
+    const saved = loadRtlOptions();
+    if (!saved) return;
+    elements.directionMarks.value = saved.marks || 'none';
+    elements.rtlCharacters.value = saved.characters || 'auto';
+    elements.rtlDigits.value = saved.digits || 'keep';
+}
+
+/**
+ * Bilingual modes that only exist in one format
+ */
+const BILINGUAL_FORMATS = ['vtt', 'ass'];
+
+/**
+ * Format a translated file is saved in
+ * Positioned bilingual output decides the format itself
+ * @param {QueueItem} item - Translated file
+ * @returns {string} Format id
+ */
+function getExportFormat(item) {
+    if (BILINGUAL_FORMATS.includes(elements.bilingualMode.value)) {
+        return elements.bilingualMode.value;
+    }
+    return elements.saveFormat.value || item.fileFormat;
+}
+
+function updateSaveFormat() {
+    const formatFixed = BILINGUAL_FORMATS.includes(elements.bilingualMode.value);
+    elements.saveFormat.disabled = formatFixed;
+    elements.exportFrameRateGroup.hidden = formatFixed || elements.saveFormat.value !== 'microdvd';
+    if (state.activeItem?.translatedSubtitle) {
+        showDownload(false);
+    }
+}
+
+/**
+ * Generate a translated file in the chosen "Save as" format and encoding, with the original if bilingual
+ * Right-to-left languages get the chosen character, digit and direction mark treatment
+ * @param {QueueItem} item - Translated file
+ * @returns {Uint8Array} Encoded file content
+ */
+function exportTranslation(item) {
+    let subtitle = convertSubtitle(item.translatedSubtitle, getExportFormat(item));
+    if (isRTL(item.targetLang)) {
+        const options = { lang: item.targetLang, ...getRtlOptions() };
+        subtitle = {
+            ...subtitle,
+            entries: subtitle.entries.map(entry => ({ ...entry, text: prepareRTLText(entry.text, options) }))
+        };
+    }
+    const frameRate = parseFloat(elements.exportFrameRate.value);
+
+    const content = generateSubtitle(subtitle, {
+        frameRate: getExportFormat(item) === 'microdvd' && frameRate > 0 ? frameRate : undefined,
+        lang: item.targetLang,
+        bilingual: elements.bilingualMode.value
+            ? { mode: elements.bilingualMode.value, original: item.parsedSubtitle }
+            : undefined
+    });
+    return encodeText(content, elements.outputEncoding.value);
+}
+
+/**
+ * Get the extension of a translated file
+ * The source's extension is kept when it belongs to the output format (.ssa, .dfxp)
+ * @param {QueueItem} item - Translated file
+ * @returns {string} Extension with the dot
+ */
+function getOutputExtension(item) {
+    const { extensions } = SUBTITLE_FORMATS[getExportFormat(item)];
+    const dotIndex = item.fileName.lastIndexOf('.');
+    const originalExtension = dotIndex > 0 ? item.fileName.substring(dotIndex).toLowerCase() : '';
+    return extensions.includes(originalExtension) ? originalExtension : extensions[0];
+}
+
+/**
+ * Build the file name for a translated file, e.g. episode01_en-es.srt
+ * The source language is left out when it is unknown
+ * @param {QueueItem} item - Translated file
+ * @returns {string} File name
+ */
+function getTranslatedFileName(item) {
+    const originalName = item.fileName;
+    const dotIndex = originalName.lastIndexOf('.');
+    const baseName = dotIndex > 0 ? originalName.substring(0, dotIndex) : originalName;
+    const extension = getOutputExtension(item);
+    const sourceLang = item.translationSettings?.sourceLang;
+    const languages = sourceLang ? `${sourceLang}-${item.targetLang}` : item.targetLang;
+    return `${baseName}_${languages}${extension}`;
+}
+
+function downloadTranslation(item = state.activeItem) {
+    if (!item || !item.translatedSubtitle) return;
+
+    downloadFile(exportTranslation(item), getTranslatedFileName(item), 'text/plain');
+}
+
+/**
+ * Download translated jobs, as a ZIP archive when there is more than one
+ * @param {QueueItem[]} items - Translated jobs
+ * @param {string} zipName - Archive name
+ */
+function downloadTranslations(items, zipName) {
+    if (items.length === 0) return;
+
+    if (items.length === 1) {
+        downloadTranslation(items[0]);
+        return;
+    }
+
+    const zip = createZip(items.map(item => ({
+        name: getTranslatedFileName(item),
+        content: exportTranslation(item)
+    })));
+    downloadFile(zip, zipName);
+}
+
+function downloadAllTranslations() {
+    const items = getTranslatedItems();
+    const languages = [...new Set(items.map(item => item.targetLang))];
+    downloadTranslations(items, languages.length === 1 ? `subtitles_${languages[0]}.zip` : 'subtitles.zip');
+}
+
+/**
+ * Show one download button per translated language when there are several
+ */
+function renderLanguageDownloads() {
+    const items = getTranslatedItems();
+    const languages = [...new Set(items.map(item => item.targetLang))];
+    const fragment = document.createDocumentFragment();
+
+    if (languages.length > 1) {
+        languages.forEach(lang => {
+            const languageItems = items.filter(item => item.targetLang === lang);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-secondary';
+            button.innerHTML = DOWNLOAD_ICON;
+            button.append(languageItems.length > 1
+                ? `${getLanguageLabel(lang)} (${languageItems.length} files, ZIP)`
+                : getLanguageLabel(lang));
+            button.addEventListener('click', () => downloadTranslations(languageItems, `subtitles_${lang}.zip`));
+            fragment.appendChild(button);
+        });
+    }
+
+    elements.downloadLanguages.replaceChildren(fragment);
+    elements.downloadLanguages.hidden = languages.length < 2;
+}
+
 // ============================================
 // Preview Tabs
 // ============================================
@@ -634,6 +2762,44 @@ function switchPreviewTab(tab) {
 // ============================================
 
 function setupEventListeners() {
+    // Provider
+    elements.providerSelect.addEventListener('change', (e) => {
+        applyProvider(e.target.value);
+        saveProvider();
+        checkForSavedProgress();
+    });
+
+    // Saved progress belongs to a model
+    elements.modelSelect.addEventListener('change', () => {
+        checkForSavedProgress();
+    });
+
+    elements.providerBlocks.forEach(block => {
+        block.querySelectorAll('[data-setting]').forEach(input => {
+            input.addEventListener('input', () => {
+                const providerId = block.dataset.provider;
+                state.providerSettings[providerId] = {
+                    ...state.providerSettings[providerId],
+                    [input.dataset.setting]: input.value.trim()
+                };
+                saveProvider();
+                if (input.dataset.setting === 'model') {
+                    checkForSavedProgress();
+                }
+            });
+        });
+    });
+
+    RATE_LIMIT_INPUTS.forEach(id => {
+        elements[id].addEventListener('input', () => {
+            state.providerSettings[state.provider] = {
+                ...state.providerSettings[state.provider],
+                [id]: elements[id].value.trim()
+            };
+            saveProvider();
+        });
+    });
+
     // API Key
     elements.apiKeyInput.addEventListener('input', (e) => {
         state.apiKey = e.target.value;
@@ -667,20 +2833,29 @@ function setupEventListeners() {
 
         const files = e.dataTransfer.files;
         if (files.length > 0) {
-            handleFile(files[0]);
+            handleFiles(files);
         }
     });
 
     elements.fileInput.addEventListener('change', (e) => {
         if (e.target.files.length > 0) {
-            handleFile(e.target.files[0]);
+            handleFiles(e.target.files);
         }
+        e.target.value = '';
     });
 
-    elements.removeFile.addEventListener('click', removeFile);
+    // Target languages
+    elements.targetLang.addEventListener('change', applyTargetLanguage);
+
+    elements.addTargetLang.addEventListener('change', (e) => {
+        addExtraLanguage(e.target.value);
+        e.target.value = '';
+    });
+
+    elements.frameRate.addEventListener('change', applyFrameRate);
 
     // Translate
-    elements.translateBtn.addEventListener('click', startTranslation);
+    elements.translateBtn.addEventListener('click', () => startQueue());
 
     // Preview Tabs
     elements.tabBtns.forEach(btn => {
@@ -689,8 +2864,86 @@ function setupEventListeners() {
         });
     });
 
+    // Glossary
+    elements.glossaryAddForm.addEventListener('submit', addGlossaryTerm);
+
+    elements.importGlossary.addEventListener('click', () => {
+        elements.glossaryFileInput.click();
+    });
+
+    elements.glossaryFileInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importGlossaryFile(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+
+    elements.exportGlossaryCsv.addEventListener('click', () => {
+        downloadFile(exportGlossaryCSV(state.glossary), 'glossary.csv', 'text/csv;charset=utf-8');
+    });
+
+    elements.exportGlossaryJson.addEventListener('click', () => {
+        downloadFile(exportGlossaryJSON(state.glossary), 'glossary.json', 'application/json');
+    });
+
+    // Translation Memory
+    elements.useMemory.addEventListener('change', () => {
+        saveMemoryEnabled(elements.useMemory.checked);
+    });
+
+    elements.memorySearch.addEventListener('input', renderMemory);
+
+    elements.importMemory.addEventListener('click', () => {
+        elements.memoryFileInput.click();
+    });
+
+    elements.memoryFileInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importMemoryFile(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+
+    elements.exportMemoryTmx.addEventListener('click', () => {
+        downloadFile(exportMemoryTMX(state.memory), 'translation-memory.tmx', 'application/x-tmx+xml;charset=utf-8');
+    });
+
+    elements.exportMemoryJson.addEventListener('click', () => {
+        downloadFile(exportMemoryJSON(state.memory), 'translation-memory.json', 'application/json');
+    });
+
+    elements.clearMemory.addEventListener('click', clearAllMemory);
+
     // Download
-    elements.downloadBtn.addEventListener('click', downloadTranslation);
+    elements.downloadBtn.addEventListener('click', () => downloadTranslation());
+    elements.downloadAllBtn.addEventListener('click', downloadAllTranslations);
+    elements.saveFormat.addEventListener('change', updateSaveFormat);
+    elements.bilingualMode.addEventListener('change', updateSaveFormat);
+    elements.outputEncoding.addEventListener('change', saveOutputEncoding);
+    [elements.directionMarks, elements.rtlCharacters, elements.rtlDigits].forEach(select => {
+        select.addEventListener('change', saveRtlOptions);
+    });
+
+    // Quality checks
+    elements.qcPreset.addEventListener('change', applyQcPreset);
+    Object.values(QC_INPUTS).forEach(id => {
+        elements[id].addEventListener('change', updateQcThresholds);
+    });
+    elements.qcIssuesOnly.addEventListener('change', () => editor.setIssuesOnly(elements.qcIssuesOnly.checked));
+    elements.rewrapLines.addEventListener('click', rewrapTranslation);
+    elements.shortenFlagged.addEventListener('click', shortenFlaggedEntries);
+
+    // Timing
+    elements.shiftForm.addEventListener('submit', shiftTiming);
+    elements.fpsForm.addEventListener('submit', convertTimingFrameRate);
+    elements.resyncForm.addEventListener('submit', resyncTiming);
+    elements.syncCueA.addEventListener('input', () => showCueStart(elements.syncCueA, elements.syncTimeA));
+    elements.syncCueB.addEventListener('input', () => showCueStart(elements.syncCueB, elements.syncTimeB));
+
+    // Pause / Resume / Cancel
+    elements.pauseBtn.addEventListener('click', pauseTranslation);
+    elements.resumeBtn.addEventListener('click', resumeTranslation);
+    elements.cancelBtn.addEventListener('click', cancelTranslation);
 
     // Clear Log
     elements.clearLog.addEventListener('click', clearLog);
@@ -701,8 +2954,8 @@ function setupEventListeners() {
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
         // Escape to cancel translation
-        if (e.key === 'Escape' && state.isTranslating && state.abortController) {
-            state.abortController.abort();
+        if (e.key === 'Escape' && state.isTranslating) {
+            cancelTranslation();
         }
     });
 }
@@ -712,11 +2965,32 @@ function setupEventListeners() {
 // ============================================
 
 function init() {
-    // Load saved API key
-    state.apiKey = loadApiKey();
-    if (state.apiKey) {
-        elements.apiKeyInput.value = state.apiKey;
-    }
+    // Load saved provider, its settings and API key
+    const savedProvider = loadProvider();
+    state.providerSettings = savedProvider.settings;
+    applyProvider(savedProvider.provider);
+
+    // Target language picker
+    populateLanguageOptions();
+    applyTargetLanguage();
+
+    // "Save as" formats
+    populateSaveFormats();
+    populateOutputEncodings();
+    populateRtlOptions();
+    populateFrameRates();
+    populateQcSettings();
+
+    // Load saved glossary
+    state.glossary = loadGlossary();
+    renderGlossary();
+
+    // Translation memory
+    elements.useMemory.checked = loadMemoryEnabled();
+    refreshMemory();
+
+    // Saved jobs, moving progress saved by older versions first
+    migrateLegacyProgress().then(refreshSavedJobs);
 
     // Setup event listeners
     setupEventListeners();
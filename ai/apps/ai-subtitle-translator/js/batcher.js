@@ -3,6 +3,8 @@
  * Splits subtitles into batches for efficient API processing
  */
 
+import { timestampToMs } from './parser.js';
+
 /**
  * @typedef {import('./parser.js').SubtitleEntry} SubtitleEntry
  */
@@ -12,6 +14,16 @@
  * @typedef {Object} BatchConfig
  * @property {number} maxEntriesPerBatch - Maximum number of entries per batch
  * @property {number} contextOverlap - Number of previous entries to include for context
+ * @property {number} lookAhead - Number of following entries to include for context
+ */
+
+/**
+ * Options for count-based batching
+ * @typedef {Object} BatchOptions
+ * @property {boolean} [sceneBreaks=false] - End batches at the longest pause or speaker change
+ *     in the second half of each batch instead of after exactly batchSize entries
+ * @property {number} [contextOverlap=3] - Previous entries sent as context
+ * @property {number} [lookAhead=0] - Following entries sent as context
  */
 
 /**
@@ -20,8 +32,10 @@
  * @property {number} index - Batch index (0-based)
  * @property {SubtitleEntry[]} entries - Subtitle entries in this batch
  * @property {SubtitleEntry[]} contextEntries - Previous entries for translation context
+ * @property {SubtitleEntry[]} followingEntries - Following entries, so the model sees how a sentence continues
  * @property {number} startIndex - Start index in original entries array
  * @property {number} endIndex - End index in original entries array
+ * @property {boolean} [forced] - Token batching had to end it inside a dialogue exchange
  */
 
 /**
@@ -30,18 +44,176 @@
  */
 export const DEFAULT_CONFIG = {
     maxEntriesPerBatch: 50,
-    contextOverlap: 3
+    contextOverlap: 3,
+    lookAhead: 0
+};
+
+/**
+ * Input and output tokens a batch request may use
+ * @typedef {Object} TokenBudget
+ * @property {number} input - Prompt tokens per request
+ * @property {number} output - Response tokens per request
+ */
+
+/**
+ * Options for token-budget batching
+ * @typedef {Object} TokenBatchOptions
+ * @property {TokenBudget} budget - Tokens per request
+ * @property {string} [targetLang] - Target language, for the size of the translation
+ * @property {number} [promptTokens=0] - Tokens of the prompt's instructions, sent with every batch
+ * @property {number} [tokenScale=1] - Correction of the estimates, from the provider's own token count
+ * @property {number} [contextOverlap=3] - Previous entries sent as context
+ * @property {number} [lookAhead=0] - Following entries sent as context
+ */
+
+/**
+ * Token budgets per model, first match wins
+ * The output budget stays well under each API's response limit (8192 for Gemini)
+ * so a long translation is not cut off
+ */
+export const TOKEN_BUDGETS = [
+    { pattern: /^gemini-/i, input: 8000, output: 4000 },
+    { pattern: /^(?:gpt-4o|gpt-4\.1|gpt-5|o[134])/i, input: 8000, output: 4000 },
+    { pattern: /^(?:gpt-4|gpt-3\.5)/i, input: 3000, output: 1500 }
+];
+
+/**
+ * Budget for other models, mostly local ones with small context windows
+ */
+export const DEFAULT_TOKEN_BUDGET = { input: 2000, output: 1000 };
+
+/**
+ * Most entries in one token-budget batch, however short they are
+ */
+const MAX_TOKEN_BATCH_ENTRIES = 150;
+
+/**
+ * Tokens of the JSON wrapping around each entry ({"index": 12, "text": "..."})
+ */
+const ENTRY_OVERHEAD_TOKENS = 10;
+
+/**
+ * Tokens per character by script, for common BPE tokenizers (Gemini, GPT-4o)
+ * Latin text averages about four characters per token; scripts the vocabulary
+ * merges less, such as Persian, Thai or Han, cost much more.
+ * Han, kana and Hangul characters each say about as much as three letters
+ */
+const TOKEN_RATES = [
+    { from: 0x0041, to: 0x024f, rate: 0.25 }, // Latin (ASCII punctuation in this range is handled below)
+    { from: 0x0370, to: 0x052f, rate: 0.4 }, // Greek, Cyrillic
+    { from: 0x0590, to: 0x05ff, rate: 0.5 }, // Hebrew
+    { from: 0x0600, to: 0x08ff, rate: 0.5 }, // Arabic, Persian, Urdu
+    { from: 0x0900, to: 0x0dff, rate: 0.7 }, // Indic scripts
+    { from: 0x0e00, to: 0x0eff, rate: 0.6 }, // Thai, Lao
+    { from: 0x1100, to: 0x11ff, rate: 1, letters: 3 }, // Hangul jamo
+    { from: 0x3040, to: 0x30ff, rate: 1, letters: 3 }, // Kana
+    { from: 0x3400, to: 0x9fff, rate: 1, letters: 3 }, // Han
+    { from: 0xac00, to: 0xd7af, rate: 1, letters: 3 }, // Hangul syllables
+    { from: 0xf900, to: 0xfaff, rate: 1, letters: 3 }, // Han compatibility
+    { from: 0xfb50, to: 0xfeff, rate: 0.5 } // Arabic presentation forms
+];
+
+// Rates for characters outside the scripts above
+const SPACE_RATE = 0;
+const DIGIT_RATE = 0.35;
+const OTHER_RATE = 0.4;
+
+/**
+ * Tokens per letter of a translation, by the target language's script (ISO 15924)
+ * Chinese and Japanese say the same in about a third of the letters, Korean in half
+ */
+const SCRIPT_RATES = {
+    Latn: 0.25,
+    Cyrl: 0.4,
+    Grek: 0.4,
+    Armn: 0.5,
+    Geor: 0.5,
+    Hebr: 0.5,
+    Arab: 0.5,
+    Deva: 0.7,
+    Beng: 0.7,
+    Taml: 0.7,
+    Telu: 0.7,
+    Thai: 0.6,
+    Hans: 0.35,
+    Hant: 0.35,
+    Jpan: 0.4,
+    Kore: 0.5
 };
 
+/**
+ * Get the token rate of one character
+ * @param {number} code - Code point
+ * @returns {{rate: number, letters?: number}} Tokens per character, and letters it stands for if not one
+ */
+function getCharacterCost(code) {
+    if (code === 0x20 || code === 0x0a || code === 0x09) return { rate: SPACE_RATE };
+    if (code >= 0x30 && code <= 0x39) return { rate: DIGIT_RATE };
+    // ASCII punctuation sits between and around the Latin letters
+    if (code < 0x80 && !(code >= 0x41 && code <= 0x5a) && !(code >= 0x61 && code <= 0x7a)) return { rate: OTHER_RATE };
+
+    return TOKEN_RATES.find(range => code >= range.from && code <= range.to) || { rate: OTHER_RATE };
+}
+
 /**
  * Estimate token count for a string
- * Rough estimation: ~4 characters per token for English
+ * Each character is weighted by its script, so Chinese, Persian or Thai text
+ * is not underestimated the way a flat characters-per-token guess would
  * @param {string} text - Text to estimate tokens for
  * @returns {number} Estimated token count
  */
 export function estimateTokens(text) {
-    // More conservative estimate for multilingual content
-    return Math.ceil(text.length / 3);
+    let total = 0;
+    for (const char of text) {
+        total += getCharacterCost(char.codePointAt(0)).rate;
+    }
+    return Math.ceil(total);
+}
+
+/**
+ * Get the main script of a language (ISO 15924 code)
+ * @param {string} [lang] - Language tag
+ * @returns {string|null} Script code, or null if unknown
+ */
+function getLanguageScript(lang) {
+    if (!lang) return null;
+    try {
+        return new Intl.Locale(lang).maximize().script || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Estimate the tokens of a text's translation
+ * The translation is assumed to say the same in as many letters as the source,
+ * written in the target language's script
+ * @param {string} text - Source text
+ * @param {string} [targetLang] - Target language; unknown scripts count like the source
+ * @returns {number} Estimated token count
+ */
+export function estimateTranslationTokens(text, targetLang) {
+    const rate = SCRIPT_RATES[getLanguageScript(targetLang)];
+    if (!rate) return estimateTokens(text);
+
+    let letters = 0;
+    for (const char of text) {
+        const cost = getCharacterCost(char.codePointAt(0));
+        if (cost.rate > 0) {
+            letters += cost.letters || 1;
+        }
+    }
+    return Math.ceil(letters * rate);
+}
+
+/**
+ * Get the token budget of a model
+ * @param {string} [model] - Model name
+ * @returns {TokenBudget} Tokens per request
+ */
+export function getTokenBudget(model) {
+    const match = TOKEN_BUDGETS.find(entry => entry.pattern.test(model || ''));
+    return match ? { input: match.input, output: match.output } : { ...DEFAULT_TOKEN_BUDGET };
 }
 
 /**
@@ -52,21 +224,273 @@ export function estimateTokens(text) {
 export function calculateBatchTokens(entries) {
     let total = 0;
     for (const entry of entries) {
-        // Include timestamp and text
-        total += estimateTokens(`${entry.startTime} --> ${entry.endTime}`);
         total += estimateTokens(entry.text);
-        total += 10; // Overhead for formatting
+        total += ENTRY_OVERHEAD_TOKENS; // Index and formatting
     }
     return total;
 }
 
+/**
+ * Estimate the response tokens of a batch
+ * @param {SubtitleEntry[]} entries - Entries to translate
+ * @param {string} [targetLang] - Target language
+ * @returns {number} Estimated token count
+ */
+export function calculateOutputTokens(entries, targetLang) {
+    let total = 0;
+    for (const entry of entries) {
+        total += estimateTranslationTokens(entry.text, targetLang);
+        total += ENTRY_OVERHEAD_TOKENS;
+    }
+    return total;
+}
+
+// Batching: a pause of at least this long (ms) can end a dialogue exchange
+const EXCHANGE_GAP = 1500;
+// Batching: a batch may run this far over the token budget to reach the end of an exchange
+const MAX_BUDGET_OVERSHOOT = 0.25;
+
+/**
+ * Line ends that finish a sentence, and ends or starts that carry it on
+ */
+const SENTENCE_END = /[.!?\u266a"'\u201d\u2019\u00bb)\]\u3002\uff01\uff1f]$/;
+const CONTINUED_END = /(?:\.\.|\u2026|[,;:\-\u2013\u2014])$/;
+const CONTINUED_START = /^(?:\.\.|\u2026|\p{Ll})/u;
+
+/**
+ * Get the visible text of an entry for boundary checks
+ * @param {SubtitleEntry} entry - Entry
+ * @returns {string} Trimmed text without markup
+ */
+function getPlainText(entry) {
+    return entry.text.replace(/\{[^}]*\}|<[^>\n]+>/g, '').trim();
+}
+
+/**
+ * Milliseconds between two entries
+ * @param {SubtitleEntry} previous - Earlier entry
+ * @param {SubtitleEntry} next - Later entry
+ * @returns {number} Gap, 0 if they overlap or the timing is unknown
+ */
+function getGap(previous, next) {
+    const gap = timestampToMs(next.startTime) - timestampToMs(previous.endTime);
+    return gap > 0 ? gap : 0;
+}
+
+/**
+ * Check whether a batch may end between two entries without cutting a dialogue exchange:
+ * the first ends a sentence, the second does not carry it on, and there is a pause
+ * @param {SubtitleEntry} previous - Last entry of the batch
+ * @param {SubtitleEntry} next - First entry of the next batch
+ * @returns {boolean} True at the end of an exchange
+ */
+function isExchangeBoundary(previous, next) {
+    const previousText = getPlainText(previous);
+    const nextText = getPlainText(next);
+    return getGap(previous, next) >= EXCHANGE_GAP &&
+        SENTENCE_END.test(previousText) &&
+        !CONTINUED_END.test(previousText) &&
+        !CONTINUED_START.test(nextText);
+}
+
+// Batching: scene-break batches hold at least this share of the batch size
+const MIN_SCENE_BATCH_SHARE = 0.5;
+// Batching: a speaker change counts as this much extra pause (ms) when choosing a scene break
+const SPEAKER_CHANGE_BONUS = 1000;
+
+/**
+ * Speaker labels: a WebVTT voice tag, or a name in capitals before a colon
+ */
+const VOICE_TAG = /^<v(?:\.[^\s>]*)?\s+([^>]+)>/;
+const SPEAKER_LABEL = /^(?:-\s*)?([A-Z][A-Z .'-]{0,30}):/;
+
+/**
+ * Get who speaks an entry, when the file says so
+ * @param {SubtitleEntry} entry - Entry
+ * @returns {string|null} Speaker from the ASS Name field, a VTT voice tag or a label, or null
+ */
+function getSpeaker(entry) {
+    const name = entry.ass?.fields?.Name?.trim();
+    if (name) return name.toLowerCase();
+
+    const text = entry.text.trim();
+    const match = text.match(VOICE_TAG) || text.match(SPEAKER_LABEL);
+    return match ? match[1].trim().toLowerCase() : null;
+}
+
+/**
+ * Score a batch break between two entries; higher is better
+ * Long pauses score most, a change of speaker adds to them,
+ * and a sentence carried on into the next entry cancels the break
+ * @param {SubtitleEntry} previous - Last entry of the batch
+ * @param {SubtitleEntry} next - First entry of the next batch
+ * @returns {number} Score
+ */
+function scoreSceneBreak(previous, next) {
+    const previousText = getPlainText(previous);
+    if (CONTINUED_END.test(previousText) || CONTINUED_START.test(getPlainText(next))) {
+        return -1;
+    }
+
+    const previousSpeaker = getSpeaker(previous);
+    const nextSpeaker = getSpeaker(next);
+    const speakerChange = previousSpeaker && nextSpeaker && previousSpeaker !== nextSpeaker;
+    return getGap(previous, next) + (speakerChange ? SPEAKER_CHANGE_BONUS : 0);
+}
+
+/**
+ * Find the best scene break in a range; later breaks win ties, for bigger batches
+ * @param {SubtitleEntry[]} entries - All subtitle entries
+ * @param {number} from - Earliest first entry of the next batch
+ * @param {number} to - Latest first entry of the next batch
+ * @returns {number} First entry of the next batch
+ */
+function findSceneBreak(entries, from, to) {
+    let best = to;
+    let bestScore = -Infinity;
+    for (let i = to; i >= from; i--) {
+        const score = scoreSceneBreak(entries[i - 1], entries[i]);
+        if (score > bestScore) {
+            best = i;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Build a batch object
+ * @param {SubtitleEntry[]} entries - All subtitle entries
+ * @param {number} batchIndex - Batch index
+ * @param {number} startIndex - First entry
+ * @param {number} endIndex - Entry after the last
+ * @param {{contextOverlap?: number, lookAhead?: number}} [context={}] - Context window sizes
+ * @returns {Batch} Batch
+ */
+function buildBatch(entries, batchIndex, startIndex, endIndex, context = {}) {
+    const { contextOverlap = DEFAULT_CONFIG.contextOverlap, lookAhead = DEFAULT_CONFIG.lookAhead } = context;
+    const contextStart = Math.max(0, startIndex - contextOverlap);
+    return {
+        index: batchIndex,
+        entries: entries.slice(startIndex, endIndex),
+        contextEntries: entries.slice(contextStart, startIndex),
+        followingEntries: entries.slice(endIndex, endIndex + lookAhead),
+        startIndex,
+        endIndex
+    };
+}
+
+/**
+ * Sum part of a cost list
+ * @param {number[]} costs - Costs per entry
+ * @param {number} from - First entry
+ * @param {number} to - Entry after the last
+ * @returns {number} Sum
+ */
+function sumCosts(costs, from, to) {
+    return costs.slice(Math.max(0, from), to).reduce((sum, cost) => sum + cost, 0);
+}
+
+/**
+ * Create batches packed up to a token budget
+ * Each batch takes as many entries as fit the input and output budget, then ends
+ * at the last pause between dialogue exchanges. Without one, it may run up to
+ * MAX_BUDGET_OVERSHOOT over the budget to finish the exchange; only an exchange
+ * longer than that is split, at its longest pause, and the batch marked as forced
+ * @param {SubtitleEntry[]} entries - All subtitle entries
+ * @param {TokenBatchOptions} options - Budget and estimate options
+ * @returns {Batch[]} Array of batch objects
+ */
+export function createTokenBatches(entries, options) {
+    const {
+        budget,
+        targetLang,
+        promptTokens = 0,
+        tokenScale = 1,
+        contextOverlap = DEFAULT_CONFIG.contextOverlap,
+        lookAhead = DEFAULT_CONFIG.lookAhead
+    } = options;
+    const inputCosts = entries.map(entry => (estimateTokens(entry.text) + ENTRY_OVERHEAD_TOKENS) * tokenScale);
+    const outputCosts = entries.map(entry => (estimateTranslationTokens(entry.text, targetLang) + ENTRY_OVERHEAD_TOKENS) * tokenScale);
+    const batches = [];
+
+    let startIndex = 0;
+    while (startIndex < entries.length) {
+        let input = promptTokens * tokenScale + sumCosts(inputCosts, startIndex - contextOverlap, startIndex);
+        let output = 0;
+
+        // Take entries while they fit together with the look-ahead after them; the first one always goes in
+        let end = startIndex;
+        let forced = false;
+        while (end < entries.length && end - startIndex < MAX_TOKEN_BATCH_ENTRIES) {
+            const following = sumCosts(inputCosts, end + 1, end + 1 + lookAhead);
+            if (end > startIndex && (input + inputCosts[end] + following > budget.input || output + outputCosts[end] > budget.output)) {
+                break;
+            }
+            input += inputCosts[end];
+            output += outputCosts[end];
+            end++;
+        }
+
+        if (end < entries.length) {
+            let boundary = -1;
+            let longestGap = -1;
+            let longestGapAt = end;
+            for (let i = end; i > startIndex + 1; i--) {
+                if (isExchangeBoundary(entries[i - 1], entries[i])) {
+                    boundary = i;
+                    break;
+                }
+                const gap = getGap(entries[i - 1], entries[i]);
+                if (gap > longestGap) {
+                    longestGap = gap;
+                    longestGapAt = i;
+                }
+            }
+
+            // No exchange ends within the budget: carry on to the next one if it is close
+            if (boundary === -1) {
+                const maxInput = budget.input * (1 + MAX_BUDGET_OVERSHOOT);
+                const maxOutput = budget.output * (1 + MAX_BUDGET_OVERSHOOT);
+                for (let i = end; i < entries.length && i - startIndex < MAX_TOKEN_BATCH_ENTRIES; i++) {
+                    const following = sumCosts(inputCosts, i + 1, i + 1 + lookAhead);
+                    if (input + inputCosts[i] + following > maxInput || output + outputCosts[i] > maxOutput) {
+                        break;
+                    }
+                    input += inputCosts[i];
+                    output += outputCosts[i];
+                    if (i + 1 === entries.length || isExchangeBoundary(entries[i], entries[i + 1])) {
+                        boundary = i + 1;
+                        break;
+                    }
+                }
+            }
+
+            forced = boundary === -1;
+            end = forced ? longestGapAt : boundary;
+        }
+
+        const batch = buildBatch(entries, batches.length, startIndex, end, { contextOverlap, lookAhead });
+        if (forced) {
+            batch.forced = true;
+        }
+        batches.push(batch);
+        startIndex = end;
+    }
+
+    return batches;
+}
+
 /**
  * Create batches from subtitle entries
+ * With sceneBreaks, each batch ends at the best break between half and all of
+ * batchSize entries: the longest pause, helped by a change of speaker
  * @param {SubtitleEntry[]} entries - All subtitle entries
  * @param {number} batchSize - Number of entries per batch
+ * @param {BatchOptions} [options={}] - Boundary and context options
  * @returns {Batch[]} Array of batch objects
  */
-export function createBatches(entries, batchSize = DEFAULT_CONFIG.maxEntriesPerBatch) {
+export function createBatches(entries, batchSize = DEFAULT_CONFIG.maxEntriesPerBatch, options = {}) {
     const batches = [];
     const totalEntries = entries.length;
     
@@ -82,24 +506,12 @@ export function createBatches(entries, batchSize = DEFAULT_CONFIG.maxEntriesPerB
     
     while (currentIndex < totalEntries) {
         const startIndex = currentIndex;
-        const endIndex = Math.min(currentIndex + actualBatchSize, totalEntries);
-        
-        // Get entries for this batch
-        const batchEntries = entries.slice(startIndex, endIndex);
-        
-        // Get context from previous translations (for consistency)
-        const contextStart = Math.max(0, startIndex - DEFAULT_CONFIG.contextOverlap);
-        const contextEntries = startIndex > 0 
-            ? entries.slice(contextStart, startIndex) 
-            : [];
+        let endIndex = Math.min(currentIndex + actualBatchSize, totalEntries);
+        if (options.sceneBreaks && endIndex < totalEntries) {
+            endIndex = findSceneBreak(entries, startIndex + Math.ceil(actualBatchSize * MIN_SCENE_BATCH_SHARE), endIndex);
+        }
         
-        batches.push({
-            index: batchIndex,
-            entries: batchEntries,
-            contextEntries,
-            startIndex,
-            endIndex
-        });
+        batches.push(buildBatch(entries, batchIndex, startIndex, endIndex, options));
         
         currentIndex = endIndex;
         batchIndex++;
@@ -108,28 +520,52 @@ export function createBatches(entries, batchSize = DEFAULT_CONFIG.maxEntriesPerB
     return batches;
 }
 
+/**
+ * Projected size of a translation run
+ * @typedef {Object} BatchStats
+ * @property {number} totalBatches - Number of batches (requests, without retries)
+ * @property {number} totalEntries - Number of entries
+ * @property {number} avgEntriesPerBatch - Average entries per batch
+ * @property {number} inputTokens - Projected prompt tokens, instructions and context included
+ * @property {number} outputTokens - Projected response tokens
+ * @property {number} estimatedTokens - Projected total tokens
+ */
+
 /**
  * Get batch statistics
  * @param {Batch[]} batches - Array of batches
- * @returns {Object} Statistics object
+ * @param {Object} [options={}] - Estimate options
+ * @param {string} [options.targetLang] - Target language
+ * @param {number} [options.promptTokens=0] - Tokens of the prompt's instructions, sent with every batch
+ * @param {number} [options.tokenScale=1] - Correction of the estimates
+ * @returns {BatchStats} Statistics object
  */
-export function getBatchStats(batches) {
+export function getBatchStats(batches, options = {}) {
+    const { targetLang, promptTokens = 0, tokenScale = 1 } = options;
     const totalBatches = batches.length;
     const totalEntries = batches.reduce((sum, b) => sum + b.entries.length, 0);
     const avgEntriesPerBatch = totalBatches > 0 ? Math.round(totalEntries / totalBatches) : 0;
     
     // Estimate total tokens
-    let estimatedTokens = 0;
+    let inputTokens = 0;
+    let outputTokens = 0;
     for (const batch of batches) {
-        estimatedTokens += calculateBatchTokens(batch.entries);
-        estimatedTokens += calculateBatchTokens(batch.contextEntries);
+        inputTokens += promptTokens;
+        inputTokens += calculateBatchTokens(batch.entries);
+        inputTokens += calculateBatchTokens(batch.contextEntries);
+        inputTokens += calculateBatchTokens(batch.followingEntries || []);
+        outputTokens += calculateOutputTokens(batch.entries, targetLang);
     }
+    inputTokens = Math.round(inputTokens * tokenScale);
+    outputTokens = Math.round(outputTokens * tokenScale);
     
     return {
         totalBatches,
         totalEntries,
         avgEntriesPerBatch,
-        estimatedTokens
+        inputTokens,
+        outputTokens,
+        estimatedTokens: inputTokens + outputTokens
     };
 }
 
@@ -145,6 +581,34 @@ export function formatEntriesForAPI(entries) {
     }).join('\n---\n');
 }
 
+/**
+ * Format entries as a JSON array for structured output mode
+ * @param {SubtitleEntry[]} entries - Entries to format
+ * @returns {string} JSON string of { index, text } objects
+ */
+export function formatEntriesForAPIJson(entries) {
+    return JSON.stringify(entries.map(entry => ({
+        index: entry.index,
+        text: entry.text
+    })), null, 2);
+}
+
+/**
+ * Response schema for structured output mode
+ * Uses the OpenAPI subset understood by Gemini's responseSchema
+ */
+export const JSON_RESPONSE_SCHEMA = {
+    type: 'ARRAY',
+    items: {
+        type: 'OBJECT',
+        properties: {
+            index: { type: 'INTEGER' },
+            text: { type: 'STRING' }
+        },
+        required: ['index', 'text']
+    }
+};
+
 /**
  * Format context entries for the API prompt
  * @param {SubtitleEntry[]} contextEntries - Previous entries for context
@@ -154,8 +618,10 @@ export function formatEntriesForAPI(entries) {
 export function formatContextForAPI(contextEntries, translatedContext = []) {
     if (contextEntries.length === 0) return '';
     
+    // Translations belong to the last context entries when there are fewer of them
+    const offset = contextEntries.length - translatedContext.length;
     const contextPairs = contextEntries.map((entry, i) => {
-        const translation = translatedContext[i];
+        const translation = translatedContext[i - offset];
         if (translation) {
             return `Original: ${entry.text}\nTranslation: ${translation.text}`;
         }
@@ -168,55 +634,209 @@ export function formatContextForAPI(contextEntries, translatedContext = []) {
 /**
  * Parse API response back to entries
  * Expects format: [index]\ntext\n---\n[index]\ntext...
+ * Blocks are matched by the [index] they echo, so a merged or dropped cue cannot
+ * shift the rest of the batch. A block without an index is matched by position,
+ * but only when the response has one block per entry
  * @param {string} response - API response text
  * @param {SubtitleEntry[]} originalEntries - Original entries for reference
  * @returns {SubtitleEntry[]} Parsed translated entries
  */
 export function parseAPIResponse(response, originalEntries) {
-    const translatedEntries = [];
-    
     // Split response by separator
-    const blocks = response.split(/\n---\n|\n-{3,}\n/);
-    
-    for (let i = 0; i < blocks.length && i < originalEntries.length; i++) {
-        const block = blocks[i].trim();
-        if (!block) continue;
-        
-        const original = originalEntries[i];
-        
-        // Try to parse [index] format
-        const indexMatch = block.match(/^\[(\d+)\]\n?([\s\S]*)/);
-        
-        let translatedText;
-        if (indexMatch) {
-            translatedText = indexMatch[2].trim();
-        } else {
-            // Fallback: use entire block as translation
-            translatedText = block;
+    const blocks = response.split(/\n---\n|\n-{3,}\n/)
+        .map(block => block.trim())
+        .filter(block => block.length > 0)
+        .map(block => {
+            // Try to parse [index] format; fallback: use entire block as translation
+            const indexMatch = block.match(/^\[(\d+)\]\n?([\s\S]*)/);
+            return indexMatch
+                ? { index: parseInt(indexMatch[1], 10), text: indexMatch[2].trim() }
+                : { index: null, text: block };
+        });
+
+    // The first block echoing an index wins
+    const byIndex = new Map();
+    blocks.forEach(block => {
+        if (block.index !== null && !byIndex.has(block.index)) {
+            byIndex.set(block.index, block.text);
         }
-        
-        // Create translated entry preserving timing
-        translatedEntries.push({
-            index: original.index,
-            startTime: original.startTime,
-            endTime: original.endTime,
-            text: translatedText
+    });
+    const complete = blocks.length === originalEntries.length;
+
+    return originalEntries.map((original, i) => {
+        let translatedText = byIndex.get(original.index);
+        if (translatedText === undefined && complete && blocks[i].index === null) {
+            translatedText = blocks[i].text;
+        }
+
+        // Create translated entry preserving timing and format fields;
+        // unmatched entries keep the original text (marked as untranslated)
+        return {
+            ...original,
+            text: translatedText !== undefined ? translatedText : original.text
+        };
+    });
+}
+
+/**
+ * Extract the JSON array from a structured response
+ * Tolerates markdown code fences and text around the array
+ * @param {string} response - API response text
+ * @returns {Array<{index: number, text: string}>} Parsed items
+ */
+function extractJSONItems(response) {
+    let text = response.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start !== -1 && end > start) {
+        text = text.substring(start, end + 1);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid JSON response: ${e.message}`);
+    }
+
+    // Some models wrap the array in an object
+    if (!Array.isArray(data)) {
+        data = Object.values(data || {}).find(Array.isArray) || [];
+    }
+
+    return data.filter(item => item && item.index !== undefined && typeof item.text === 'string');
+}
+
+/**
+ * Parse a structured JSON response back to entries
+ * Matches translations by subtitle index rather than by position,
+ * so a merged or missing entry cannot shift the rest of the batch
+ * @param {string} response - API response text
+ * @param {SubtitleEntry[]} originalEntries - Original entries for reference
+ * @returns {SubtitleEntry[]} Parsed translated entries
+ */
+export function parseJSONResponse(response, originalEntries) {
+    const items = extractJSONItems(response);
+
+    // Group by index; duplicated indexes are consumed in order
+    const byIndex = new Map();
+    for (const item of items) {
+        const key = Number(item.index);
+        if (!byIndex.has(key)) {
+            byIndex.set(key, []);
+        }
+        byIndex.get(key).push(item.text.trim());
+    }
+
+    return originalEntries.map(original => {
+        const matches = byIndex.get(Number(original.index));
+        const translatedText = matches && matches.length > 0 ? matches.shift() : null;
+
+        return {
+            ...original,
+            // Missing entries keep the original text (marked as untranslated)
+            text: translatedText !== null ? translatedText : original.text
+        };
+    });
+}
+
+/**
+ * Extract the subtitle indexes echoed back by the model, in response order
+ * Blocks without an [index] marker yield null
+ * @param {string} response - API response text
+ * @param {'json' | 'text'} [outputFormat='text'] - Response format
+ * @returns {Array<number|null>} Echoed indexes
+ */
+export function extractEchoedIndexes(response, outputFormat = 'text') {
+    if (outputFormat === 'json') {
+        return extractJSONItems(response).map(item => Number(item.index));
+    }
+
+    return response.split(/\n---\n|\n-{3,}\n/)
+        .map(block => block.trim())
+        .filter(block => block.length > 0)
+        .map(block => {
+            const indexMatch = block.match(/^\[(\d+)\]/);
+            return indexMatch ? parseInt(indexMatch[1], 10) : null;
+        });
+}
+
+/**
+ * Normalize text for "left untranslated" comparison
+ * @param {string} text - Subtitle text
+ * @returns {string} Lowercased text with collapsed whitespace
+ */
+function normalizeForComparison(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validation issue
+ * @typedef {Object} ValidationIssue
+ * @property {number|null} index - Subtitle index, or null for batch-level issues
+ * @property {string} problem - Human readable description
+ */
+
+/**
+ * Validate a translated batch against its source entries
+ * Checks entry count, index echoes, empty outputs and text left identical to the source
+ * @param {SubtitleEntry[]} translatedEntries - Parsed translated entries
+ * @param {SubtitleEntry[]} originalEntries - Source entries of the batch
+ * @param {Array<number|null>} echoedIndexes - Indexes echoed by the model, in response order
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.positional=false] - Blocks without an index were matched by position (text responses)
+ * @returns {{valid: boolean, issues: ValidationIssue[]}} Validation result; valid when no entry has an issue
+ */
+export function validateBatch(translatedEntries, originalEntries, echoedIndexes, options = {}) {
+    const issues = [];
+
+    if (echoedIndexes.length !== originalEntries.length) {
+        issues.push({
+            index: null,
+            problem: `expected ${originalEntries.length} entries, received ${echoedIndexes.length}`
         });
     }
-    
-    // Handle case where response has fewer entries than expected
-    // Fill remaining with original text (marked as untranslated)
-    while (translatedEntries.length < originalEntries.length) {
-        const original = originalEntries[translatedEntries.length];
-        translatedEntries.push({
-            index: original.index,
-            startTime: original.startTime,
-            endTime: original.endTime,
-            text: original.text
+
+    const echoedSet = new Set(echoedIndexes.filter(index => index !== null));
+    const expectedSet = new Set(originalEntries.map(entry => entry.index));
+    const unexpected = [...echoedSet].filter(index => !expectedSet.has(index));
+    if (unexpected.length > 0) {
+        issues.push({
+            index: null,
+            problem: `unexpected indexes in response: ${unexpected.join(', ')}`
         });
     }
-    
-    return translatedEntries;
+
+    originalEntries.forEach((original, i) => {
+        const translated = translatedEntries[i];
+
+        // Entries need their index echoed anywhere; with positional matching, a block
+        // without an index at this position counts if every entry got a block
+        const matchedByPosition = options.positional
+            && echoedIndexes.length === originalEntries.length
+            && echoedIndexes[i] === null;
+        if (!echoedSet.has(original.index) && !matchedByPosition) {
+            issues.push({ index: original.index, problem: 'missing from response' });
+            return;
+        }
+
+        if (!translated || translated.text.trim() === '') {
+            issues.push({ index: original.index, problem: 'empty translation' });
+            return;
+        }
+
+        // Single words (names, interjections) are often legitimately unchanged
+        const wordCount = (original.text.match(/\p{L}+/gu) || []).length;
+        if (wordCount >= 2 && normalizeForComparison(translated.text) === normalizeForComparison(original.text)) {
+            issues.push({ index: original.index, problem: 'identical to source (untranslated)' });
+        }
+    });
+
+    return {
+        valid: !issues.some(issue => issue.index !== null),
+        issues
+    };
 }
 
 /**
@@ -0,0 +1,86 @@
+/**
+ * Database Module
+ * Shared IndexedDB connection for data too large for localStorage
+ */
+
+const DB_NAME = 'subtranslator';
+const DB_VERSION = 2;
+
+/**
+ * Object stores created on upgrade, with their key paths and indexes
+ * Add new stores here and raise DB_VERSION; existing stores are kept
+ */
+const STORES = {
+    memory: { keyPath: 'key', indexes: { updated: 'updated' } },
+    jobs: { keyPath: 'id', indexes: { savedAt: 'savedAt' } }
+};
+
+let connection = null;
+
+/**
+ * Open the database, creating missing stores; the connection is shared
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase() {
+    if (connection) return connection;
+
+    connection = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.entries(STORES).forEach(([name, { keyPath, indexes = {} }]) => {
+                if (db.objectStoreNames.contains(name)) return;
+                const store = db.createObjectStore(name, { keyPath });
+                Object.entries(indexes).forEach(([index, path]) => store.createIndex(index, path));
+            });
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a newer version in another tab upgrade; the next call reopens
+            db.onversionchange = () => {
+                db.close();
+                connection = null;
+            };
+            resolve(db);
+        };
+
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database is in use by another tab; close it and try again'));
+    });
+
+    connection.catch(() => {
+        connection = null;
+    });
+
+    return connection;
+}
+
+/**
+ * Run work on one store in a single transaction
+ * The callback may return an IDBRequest, or an array of them, whose
+ * results the promise resolves with once the transaction has completed
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {(store: IDBObjectStore) => *} callback - Queues the requests
+ * @returns {Promise<*>} Request results, or the callback's return value
+ */
+export async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const result = callback(transaction.objectStore(storeName));
+        const unwrap = value => (typeof IDBRequest !== 'undefined' && value instanceof IDBRequest ? value.result : value);
+
+        transaction.oncomplete = () => resolve(Array.isArray(result) ? result.map(unwrap) : unwrap(result));
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Database transaction aborted'));
+    });
+}
@@ -0,0 +1,291 @@
+/**
+ * Subtitle Editor Module
+ * Side-by-side bilingual editor over the translated entries
+ */
+
+/**
+ * @typedef {import('./parser.js').SubtitleEntry} SubtitleEntry
+ * @typedef {import('./qc.js').QcIssue} QcIssue
+ */
+
+/**
+ * Create a bilingual subtitle editor
+ * Edits are written straight into the translated entries array it was given
+ * @param {Object} options - Editor options
+ * @param {HTMLElement} options.list - Container the rows are rendered into
+ * @param {HTMLInputElement} options.searchInput - Search/filter input
+ * @param {HTMLButtonElement} options.retranslateButton - "Re-translate selected" button
+ * @param {HTMLElement} options.selectionInfo - Element showing the selection count
+ * @param {Function} [options.onChange] - Called (position, entry) after a translated line is edited
+ * @param {Function} [options.onRetranslate] - Called (positions) to re-translate cues; may return a Promise
+ * @returns {Object} Editor controller
+ */
+export function createSubtitleEditor({ list, searchInput, retranslateButton, selectionInfo, onChange, onRetranslate }) {
+    let originalEntries = [];
+    let translatedEntries = [];
+    let rows = [];
+    const selected = new Set();
+    let lastClicked = null;
+    let busy = false;
+    let issues = new Map();
+    let issuesOnly = false;
+    let directions = {};
+
+    function matchesFilter(position, query) {
+        if (issuesOnly && !issues.has(position)) return false;
+        if (!query) return true;
+        const original = originalEntries[position];
+        const translated = translatedEntries[position];
+        return String(original.index) === query ||
+            original.text.toLowerCase().includes(query) ||
+            (translated && translated.text.toLowerCase().includes(query));
+    }
+
+    function applyFilter() {
+        const query = searchInput.value.trim().toLowerCase();
+        rows.forEach((row, position) => {
+            row.hidden = !matchesFilter(position, query);
+        });
+    }
+
+    function updateSelectionUI() {
+        rows.forEach((row, position) => {
+            const isSelected = selected.has(position);
+            row.classList.toggle('selected', isSelected);
+            row.querySelector('.editor-select').checked = isSelected;
+        });
+        selectionInfo.textContent = selected.size > 0 ? `${selected.size} selected` : '';
+        retranslateButton.disabled = busy || selected.size === 0;
+    }
+
+    function autoResize(textarea) {
+        resizeAll([textarea]);
+    }
+
+    /**
+     * Fit textareas to their content, reading every height before writing any,
+     * so the browser lays out the list once rather than once per row
+     * @param {HTMLTextAreaElement[]} textareas - Textareas to fit
+     */
+    function resizeAll(textareas) {
+        textareas.forEach(textarea => {
+            textarea.style.height = 'auto';
+        });
+        const heights = textareas.map(textarea => textarea.scrollHeight);
+        textareas.forEach((textarea, i) => {
+            // A textarea that is not rendered yet keeps its one-row default
+            textarea.style.height = heights[i] > 0 ? `${heights[i]}px` : '';
+        });
+    }
+
+    function toggleSelection(position, extendRange) {
+        if (extendRange && lastClicked !== null) {
+            // Shift-click selects every visible cue between the two clicks
+            const from = Math.min(lastClicked, position);
+            const to = Math.max(lastClicked, position);
+            for (let i = from; i <= to; i++) {
+                if (!rows[i].hidden) {
+                    selected.add(i);
+                }
+            }
+        } else if (selected.has(position)) {
+            selected.delete(position);
+        } else {
+            selected.add(position);
+        }
+        lastClicked = position;
+        updateSelectionUI();
+    }
+
+    async function retranslate(positions) {
+        if (!onRetranslate || busy || positions.length === 0) return;
+        setBusy(true, positions);
+        try {
+            await onRetranslate(positions);
+        } finally {
+            setBusy(false, positions);
+        }
+    }
+
+    function createRow(position) {
+        const original = originalEntries[position];
+        const translated = translatedEntries[position];
+
+        const row = document.createElement('div');
+        row.className = 'editor-row';
+        row.dataset.position = position;
+
+        const meta = document.createElement('label');
+        meta.className = 'editor-meta';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'editor-select';
+        checkbox.addEventListener('click', (e) => {
+            toggleSelection(position, e.shiftKey);
+        });
+
+        const index = document.createElement('span');
+        index.className = 'editor-index';
+        index.textContent = `#${original.index}`;
+
+        const time = document.createElement('span');
+        time.className = 'editor-time';
+        time.textContent = `${original.startTime} → ${original.endTime}`;
+
+        const flags = document.createElement('span');
+        flags.className = 'editor-issues';
+
+        meta.append(checkbox, index, time, flags);
+
+        const source = document.createElement('div');
+        source.className = 'editor-original';
+        source.dir = directions.original || 'auto';
+        source.textContent = original.text;
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'editor-translation';
+        textarea.rows = 1;
+        textarea.spellcheck = false;
+        textarea.dir = directions.translation || 'auto';
+        textarea.value = translated ? translated.text : '';
+        textarea.addEventListener('input', () => {
+            translatedEntries[position].text = textarea.value;
+            autoResize(textarea);
+            if (onChange) {
+                onChange(position, translatedEntries[position]);
+            }
+        });
+
+        const retranslateBtn = document.createElement('button');
+        retranslateBtn.type = 'button';
+        retranslateBtn.className = 'editor-retranslate';
+        retranslateBtn.title = 'Re-translate this cue';
+        retranslateBtn.setAttribute('aria-label', 'Re-translate this cue');
+        retranslateBtn.innerHTML = `
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 12a9 9 0 1 1-9-9c2.52 0 4.93 1 6.74 2.74L21 8"/>
+                <path d="M21 3v5h-5"/>
+            </svg>
+        `;
+        retranslateBtn.addEventListener('click', () => retranslate([position]));
+
+        row.append(meta, source, textarea, retranslateBtn);
+        return row;
+    }
+
+    /**
+     * Show or clear the busy state on rows being re-translated
+     * @param {boolean} isBusy - Whether a re-translation is running
+     * @param {number[]} [positions=[]] - Rows affected
+     */
+    function setBusy(isBusy, positions = []) {
+        busy = isBusy;
+        positions.forEach(position => {
+            const row = rows[position];
+            if (row) {
+                row.classList.toggle('busy', isBusy);
+                row.querySelector('.editor-translation').disabled = isBusy;
+            }
+        });
+        list.querySelectorAll('.editor-retranslate').forEach(btn => {
+            btn.disabled = isBusy;
+        });
+        updateSelectionUI();
+    }
+
+    /**
+     * Load entries into the editor
+     * @param {SubtitleEntry[]} originals - Source entries
+     * @param {SubtitleEntry[]} translations - Translated entries (edited in place)
+     * @param {{original?: string, translation?: string}} [textDirections={}] - dir attribute of each column; 'auto' if unset
+     */
+    function setEntries(originals, translations, textDirections = {}) {
+        originalEntries = originals;
+        translatedEntries = translations;
+        directions = textDirections;
+        issues = new Map();
+        selected.clear();
+        lastClicked = null;
+
+        const fragment = document.createDocumentFragment();
+        rows = originalEntries.map((_, position) => {
+            const row = createRow(position);
+            fragment.appendChild(row);
+            return row;
+        });
+        list.replaceChildren(fragment);
+        resizeAll(rows.map(row => row.querySelector('.editor-translation')));
+
+        applyFilter();
+        updateSelectionUI();
+    }
+
+    /**
+     * Mark rows that failed QC checks
+     * The filter is not re-applied, so a row being edited stays visible once fixed
+     * @param {Map<number, QcIssue[]>} issuesByPosition - Problems by row position
+     */
+    function setIssues(issuesByPosition) {
+        issues = issuesByPosition;
+        rows.forEach((row, position) => {
+            const rowIssues = issues.get(position) || [];
+            const flags = row.querySelector('.editor-issues');
+            row.classList.toggle('flagged', rowIssues.length > 0);
+            flags.textContent = rowIssues.length > 0 ? `⚠ ${rowIssues.length}` : '';
+            flags.title = rowIssues.map(issue => issue.message).join('\n');
+        });
+    }
+
+    /**
+     * Show only the rows that failed QC checks
+     * @param {boolean} value - Whether to hide rows without problems
+     */
+    function setIssuesOnly(value) {
+        issuesOnly = value;
+        applyFilter();
+    }
+
+    /**
+     * Re-render the translated text of the given rows
+     * @param {number[]} positions - Rows to refresh
+     */
+    function refresh(positions) {
+        const textareas = positions.filter(position => rows[position]).map(position => {
+            const textarea = rows[position].querySelector('.editor-translation');
+            textarea.value = translatedEntries[position].text;
+            return textarea;
+        });
+        resizeAll(textareas);
+    }
+
+    searchInput.addEventListener('input', applyFilter);
+    retranslateButton.addEventListener('click', () => {
+        retranslate([...selected].sort((a, b) => a - b));
+    });
+
+    return {
+        setEntries,
+        refresh,
+        setBusy,
+        setIssues,
+        setIssuesOnly,
+
+        /**
+         * Get selected row positions in order
+         * @returns {number[]} Selected positions
+         */
+        getSelection() {
+            return [...selected].sort((a, b) => a - b);
+        },
+
+        /**
+         * Clear the selection
+         */
+        clearSelection() {
+            selected.clear();
+            lastClicked = null;
+            updateSelectionUI();
+        }
+    };
+}
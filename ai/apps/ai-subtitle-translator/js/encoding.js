@@ -0,0 +1,283 @@
+/**
+ * Encoding Module
+ * Character encoding detection for uploaded files and encoding of downloads
+ */
+
+/**
+ * Encoding choice shown in the UI
+ * @typedef {Object} EncodingOption
+ * @property {string} value - TextDecoder label
+ * @property {string} label - Display name
+ */
+
+/**
+ * Detection result
+ * @typedef {Object} DetectedEncoding
+ * @property {string} encoding - TextDecoder label
+ * @property {'bom' | 'valid' | 'guess'} method - Byte order mark, valid UTF-8/ASCII, or a heuristic guess
+ */
+
+/**
+ * Encodings offered for decoding uploads
+ * @type {EncodingOption[]}
+ */
+export const INPUT_ENCODINGS = [
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'utf-16le', label: 'UTF-16 LE' },
+    { value: 'utf-16be', label: 'UTF-16 BE' },
+    { value: 'windows-1252', label: 'Western (Windows-1252)' },
+    { value: 'windows-1250', label: 'Central European (Windows-1250)' },
+    { value: 'windows-1251', label: 'Cyrillic (Windows-1251)' },
+    { value: 'windows-1253', label: 'Greek (Windows-1253)' },
+    { value: 'windows-1254', label: 'Turkish (Windows-1254)' },
+    { value: 'windows-1255', label: 'Hebrew (Windows-1255)' },
+    { value: 'windows-1256', label: 'Arabic (Windows-1256)' },
+    { value: 'windows-874', label: 'Thai (Windows-874)' },
+    { value: 'gbk', label: 'Chinese Simplified (GBK)' },
+    { value: 'big5', label: 'Chinese Traditional (Big5)' },
+    { value: 'shift_jis', label: 'Japanese (Shift_JIS)' },
+    { value: 'euc-kr', label: 'Korean (EUC-KR)' }
+];
+
+/**
+ * Single-byte code pages, which can also be written
+ */
+const SINGLE_BYTE_ENCODINGS = ['windows-1252', 'windows-1250', 'windows-1251', 'windows-1253',
+    'windows-1254', 'windows-1255', 'windows-1256', 'windows-874'];
+
+/**
+ * Encodings offered for downloads
+ * @type {EncodingOption[]}
+ */
+export const OUTPUT_ENCODINGS = [
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'utf-8-bom', label: 'UTF-8 with BOM' },
+    { value: 'utf-16le', label: 'UTF-16 LE (with BOM)' },
+    ...INPUT_ENCODINGS.filter(option => SINGLE_BYTE_ENCODINGS.includes(option.value))
+];
+
+// Detection: bytes sampled from the start of the file
+const DETECTION_SAMPLE_BYTES = 64 * 1024;
+// Detection: share of zero bytes at odd or even positions that marks BOM-less UTF-16
+const UTF16_ZERO_RATIO = 0.3;
+
+/**
+ * Count the matches of a global pattern
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @returns {number} Match count
+ */
+function countMatches(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+/**
+ * Score text decoded with a single-byte code page by its frequent letters.
+ * A letter only counts next to a letter of the expected neighbours: accents of a
+ * Latin code page sit inside ASCII words (café), while mis-decoded bytes form
+ * runs of accented letters (ÇáÓáÇã) or stray letters inside Latin words
+ * @param {string} frequent - Frequent letters of the code page's languages
+ * @param {string} neighbours - Character class of the expected neighbours
+ * @param {RegExp} [rare] - Letters that are rare in practice for this code page
+ * @returns {(text: string) => number} Scorer
+ */
+function letterScore(frequent, neighbours, rare) {
+    const pattern = new RegExp(`(?<=[${neighbours}])[${frequent}]|[${frequent}](?=[${neighbours}])`, 'giu');
+    return text => countMatches(text, pattern) - (rare ? countMatches(text, rare) * 3 : 0);
+}
+
+/**
+ * Score text decoded with a CJK encoding by its most frequent characters;
+ * wrong double-byte decodings produce rare characters instead.
+ * Counted twice as each character takes two bytes
+ * @param {string} common - Very frequent characters of the language
+ * @returns {(text: string) => number} Scorer
+ */
+function commonScore(common) {
+    const set = new Set(common);
+    return text => [...text].filter(char => set.has(char)).length * 2;
+}
+
+/**
+ * Legacy encodings tried when a file is not valid UTF-8, in order of preference on ties
+ */
+const CANDIDATES = [
+    // ð þ ý are Icelandic; in subtitles they are usually mis-decoded Turkish
+    { encoding: 'windows-1252', score: letterScore('éèàçêâôûùîïëüöäßñáíóúãõœ', 'a-z', /[ÐÝÞðýþ]/g) },
+    { encoding: 'windows-1250', score: letterScore('ąćęłńóśźżčďěňřšťůýáéíúöäüžĺľŕ', 'a-z') },
+    { encoding: 'windows-1254', score: letterScore('çğıöşüâîû', 'a-z') },
+    { encoding: 'windows-1251', score: letterScore('оеаинтсрвлкмдпуяы', '\u0400-\u04ff') },
+    { encoding: 'windows-1253', score: letterScore('αοετινσκπυρλμάέίόήύώ', '\u0370-\u03ff') },
+    { encoding: 'windows-1255', score: letterScore('יוהאלמרבשתנ', '\u0590-\u05ff') },
+    { encoding: 'windows-1256', score: letterScore('اليمونهربتکیكدسع', '\u0600-\u06ff') },
+    { encoding: 'windows-874', score: letterScore('านอรกเมงยดทส', '\u0e00-\u0e7f') },
+    { encoding: 'gbk', score: commonScore('的一是不了我你他在有人这个们来说到就要会没那好么什吗呢') },
+    { encoding: 'big5', score: commonScore('的一是不了我你他在有人這個們來說到就要會沒那好麼什嗎呢') },
+    { encoding: 'shift_jis', score: commonScore('のはをにがでとしたてないるかもよねうんですまこそあ') },
+    { encoding: 'euc-kr', score: commonScore('이다는의에가고하지을를서한그요네게도나어기아니있리로습까해내거수사시들면우여말잘안없주보') }
+];
+
+/**
+ * Characters that never appear in real text: replacement characters and C1 controls
+ */
+const INVALID_CHARS = /[\uFFFD\u0080-\u009f]/g;
+
+/**
+ * Detect byte order marks
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {string|null} Encoding, or null without a BOM
+ */
+function detectBOM(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    return null;
+}
+
+/**
+ * Detect UTF-16 without a BOM from its zero bytes (ASCII characters and digits)
+ * @param {Uint8Array} bytes - Sampled bytes
+ * @returns {string|null} Encoding, or null if not UTF-16
+ */
+function detectUTF16(bytes) {
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        if (bytes[i] === 0) {
+            if (i % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+    }
+
+    const half = bytes.length / 2;
+    if (oddZeros > half * UTF16_ZERO_RATIO && evenZeros < oddZeros / 10) return 'utf-16le';
+    if (evenZeros > half * UTF16_ZERO_RATIO && oddZeros < evenZeros / 10) return 'utf-16be';
+    return null;
+}
+
+/**
+ * Check whether bytes are valid UTF-8
+ * @param {Uint8Array} bytes - Sampled bytes
+ * @param {boolean} truncated - The sample may end inside a character
+ * @returns {boolean} True if valid
+ */
+function isValidUTF8(bytes, truncated) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: truncated });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Detect the character encoding of an uploaded file
+ * A BOM decides; otherwise UTF-16 and UTF-8 are checked, and legacy code pages
+ * are scored by how plausible the decoded text looks
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {DetectedEncoding} Detected encoding
+ */
+export function detectEncoding(bytes) {
+    const bom = detectBOM(bytes);
+    if (bom) {
+        return { encoding: bom, method: 'bom' };
+    }
+
+    const sample = bytes.subarray(0, DETECTION_SAMPLE_BYTES);
+    const utf16 = detectUTF16(sample);
+    if (utf16) {
+        return { encoding: utf16, method: 'guess' };
+    }
+
+    if (isValidUTF8(sample, sample.length < bytes.length)) {
+        return { encoding: 'utf-8', method: 'valid' };
+    }
+
+    let best = CANDIDATES[0].encoding;
+    let bestScore = -Infinity;
+
+    for (const candidate of CANDIDATES) {
+        const text = new TextDecoder(candidate.encoding).decode(sample);
+        const score = candidate.score(text) - countMatches(text, INVALID_CHARS) * 10;
+        if (score > bestScore) {
+            best = candidate.encoding;
+            bestScore = score;
+        }
+    }
+
+    return { encoding: best, method: 'guess' };
+}
+
+/**
+ * Decode file bytes; a matching BOM is removed
+ * @param {Uint8Array} bytes - File bytes
+ * @param {string} encoding - TextDecoder label
+ * @returns {string} Decoded text
+ */
+export function decodeText(bytes, encoding) {
+    return new TextDecoder(encoding).decode(bytes).replace(/^\uFEFF/, '');
+}
+
+// Reverse tables of the single-byte code pages, built on first use
+const encodeTables = new Map();
+
+/**
+ * Build the character-to-byte table of a single-byte code page
+ * @param {string} encoding - TextDecoder label
+ * @returns {Map<string, number>} Table
+ */
+function getEncodeTable(encoding) {
+    if (!encodeTables.has(encoding)) {
+        const decoder = new TextDecoder(encoding);
+        const table = new Map();
+        for (let byte = 0; byte < 256; byte++) {
+            const char = decoder.decode(new Uint8Array([byte]));
+            if (char !== '\uFFFD' && !table.has(char)) {
+                table.set(char, byte);
+            }
+        }
+        encodeTables.set(encoding, table);
+    }
+    return encodeTables.get(encoding);
+}
+
+/**
+ * Encode text for download
+ * Characters a code page cannot represent become '?'
+ * @param {string} text - Text to encode
+ * @param {string} encoding - Value from OUTPUT_ENCODINGS
+ * @returns {Uint8Array} Encoded bytes
+ */
+export function encodeText(text, encoding) {
+    if (encoding === 'utf-8-bom') {
+        return new TextEncoder().encode(`\uFEFF${text}`);
+    }
+
+    if (encoding === 'utf-16le') {
+        const content = `\uFEFF${text}`;
+        const bytes = new Uint8Array(content.length * 2);
+        for (let i = 0; i < content.length; i++) {
+            const code = content.charCodeAt(i);
+            bytes[i * 2] = code & 0xFF;
+            bytes[i * 2 + 1] = code >> 8;
+        }
+        return bytes;
+    }
+
+    if (SINGLE_BYTE_ENCODINGS.includes(encoding)) {
+        const table = getEncodeTable(encoding);
+        return Uint8Array.from([...text], char => table.get(char) ?? 0x3F);
+    }
+
+    return new TextEncoder().encode(text);
+}
+
+/**
+ * Get the display name of an encoding
+ * @param {string} encoding - Encoding value
+ * @returns {string} Label
+ */
+export function getEncodingLabel(encoding) {
+    const option = [...INPUT_ENCODINGS, ...OUTPUT_ENCODINGS].find(item => item.value === encoding);
+    return option ? option.label : encoding;
+}
@@ -0,0 +1,253 @@
+/**
+ * Glossary Module
+ * Terminology list for names and recurring terms: storage, import/export,
+ * prompt injection and post-translation checks
+ */
+
+/**
+ * @typedef {import('./parser.js').SubtitleEntry} SubtitleEntry
+ */
+
+/**
+ * Glossary term
+ * @typedef {Object} GlossaryTerm
+ * @property {string} source - Term as it appears in the source subtitles
+ * @property {string} target - Required translation
+ * @property {string} [note] - Optional note for the translator (gender, context...)
+ */
+
+/**
+ * Glossary violation
+ * @typedef {Object} GlossaryViolation
+ * @property {number} index - Subtitle index
+ * @property {string} source - Source term found in the original
+ * @property {string} target - Target term missing from the translation
+ */
+
+const GLOSSARY_KEY = 'subtranslator_glossary';
+
+/**
+ * Load the glossary from localStorage
+ * @returns {GlossaryTerm[]} Saved terms
+ */
+export function loadGlossary() {
+    try {
+        const saved = localStorage.getItem(GLOSSARY_KEY);
+        return saved ? normalizeTerms(JSON.parse(saved)) : [];
+    } catch (e) {
+        console.warn('Could not load glossary from localStorage');
+        return [];
+    }
+}
+
+/**
+ * Save the glossary to localStorage
+ * @param {GlossaryTerm[]} terms - Terms to save
+ */
+export function saveGlossary(terms) {
+    try {
+        localStorage.setItem(GLOSSARY_KEY, JSON.stringify(terms));
+    } catch (e) {
+        console.warn('Could not save glossary to localStorage');
+    }
+}
+
+/**
+ * Clean up a list of terms, dropping incomplete rows
+ * @param {Array<Object>} terms - Raw terms
+ * @returns {GlossaryTerm[]} Valid terms
+ */
+function normalizeTerms(terms) {
+    return terms
+        .map(term => ({
+            source: String(term.source || '').trim(),
+            target: String(term.target || '').trim(),
+            note: String(term.note || '').trim()
+        }))
+        .filter(term => term.source && term.target);
+}
+
+/**
+ * Split one CSV line into fields, honouring quotes
+ * @param {string} line - CSV line
+ * @returns {string[]} Fields
+ */
+function parseCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',' || char === ';' || char === '\t') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+
+    return fields;
+}
+
+/**
+ * Parse a CSV glossary (source,target[,note]); a header row is optional
+ * @param {string} content - CSV content
+ * @returns {GlossaryTerm[]} Parsed terms
+ */
+export function parseGlossaryCSV(content) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+    const rows = lines.map(parseCSVLine);
+
+    if (rows.length > 0 && /^source$/i.test(rows[0][0].trim())) {
+        rows.shift();
+    }
+
+    return normalizeTerms(rows.map(([source, target, note]) => ({ source, target, note })));
+}
+
+/**
+ * Parse a JSON glossary
+ * Accepts an array of { source, target, note } or a { source: target } map
+ * @param {string} content - JSON content
+ * @returns {GlossaryTerm[]} Parsed terms
+ */
+export function parseGlossaryJSON(content) {
+    const data = JSON.parse(content.replace(/^\uFEFF/, ''));
+
+    if (Array.isArray(data)) {
+        return normalizeTerms(data);
+    }
+
+    return normalizeTerms(Object.entries(data || {}).map(([source, target]) => ({ source, target })));
+}
+
+/**
+ * Parse an imported glossary file by its extension
+ * @param {string} fileName - Imported file name
+ * @param {string} content - File content
+ * @returns {GlossaryTerm[]} Parsed terms
+ */
+export function parseGlossaryFile(fileName, content) {
+    return fileName.toLowerCase().endsWith('.json')
+        ? parseGlossaryJSON(content)
+        : parseGlossaryCSV(content);
+}
+
+/**
+ * Export the glossary as CSV
+ * @param {GlossaryTerm[]} terms - Terms to export
+ * @returns {string} CSV content with header
+ */
+export function exportGlossaryCSV(terms) {
+    const escape = value => /[",;\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    const rows = terms.map(term => [term.source, term.target, term.note || ''].map(escape).join(','));
+    return ['source,target,note', ...rows].join('\n');
+}
+
+/**
+ * Export the glossary as JSON
+ * @param {GlossaryTerm[]} terms - Terms to export
+ * @returns {string} JSON content
+ */
+export function exportGlossaryJSON(terms) {
+    return JSON.stringify(terms, null, 2);
+}
+
+/**
+ * Merge imported terms into an existing glossary; imported terms win
+ * @param {GlossaryTerm[]} existing - Current terms
+ * @param {GlossaryTerm[]} imported - Imported terms
+ * @returns {GlossaryTerm[]} Merged terms
+ */
+export function mergeGlossaries(existing, imported) {
+    const merged = new Map(existing.map(term => [term.source.toLowerCase(), term]));
+    imported.forEach(term => merged.set(term.source.toLowerCase(), term));
+    return [...merged.values()];
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check whether a text contains a term
+ * Whole-word match for spaced scripts, substring match for CJK and Thai
+ * @param {string} text - Text to search
+ * @param {string} term - Term to find
+ * @returns {boolean} True if the term occurs
+ */
+export function containsTerm(text, term) {
+    if (/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\u0e00-\u0e7f]/.test(term)) {
+        return text.includes(term);
+    }
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'iu');
+    return pattern.test(text);
+}
+
+/**
+ * Find the glossary terms used by a set of entries
+ * @param {GlossaryTerm[]} terms - Glossary
+ * @param {SubtitleEntry[]} entries - Entries to scan
+ * @returns {GlossaryTerm[]} Terms whose source occurs in the entries
+ */
+export function findTermsInEntries(terms, entries) {
+    return terms.filter(term => entries.some(entry => containsTerm(entry.text, term.source)));
+}
+
+/**
+ * Format glossary terms for the translation prompt
+ * @param {GlossaryTerm[]} terms - Terms to include
+ * @returns {string} One "source => target" line per term
+ */
+export function formatGlossaryForPrompt(terms) {
+    return terms.map(term => {
+        const note = term.note ? ` (${term.note})` : '';
+        return `${term.source} => ${term.target}${note}`;
+    }).join('\n');
+}
+
+/**
+ * Check that glossary targets appear wherever their sources occurred
+ * @param {GlossaryTerm[]} terms - Glossary
+ * @param {SubtitleEntry[]} originalEntries - Source entries
+ * @param {SubtitleEntry[]} translatedEntries - Translated entries, same order
+ * @returns {GlossaryViolation[]} Violations found
+ */
+export function checkGlossary(terms, originalEntries, translatedEntries) {
+    const violations = [];
+
+    originalEntries.forEach((original, i) => {
+        const translated = translatedEntries[i];
+        if (!translated) return;
+
+        for (const term of terms) {
+            if (containsTerm(original.text, term.source) && !containsTerm(translated.text, term.target)) {
+                violations.push({
+                    index: original.index,
+                    source: term.source,
+                    target: term.target
+                });
+            }
+        }
+    });
+
+    return violations;
+}
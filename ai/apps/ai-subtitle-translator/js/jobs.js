@@ -0,0 +1,118 @@
+/**
+ * Jobs Module
+ * Saved translation progress in IndexedDB, one record per file content,
+ * target language and model, so any number of jobs can be resumed
+ */
+
+import { withStore } from './db.js';
+
+/**
+ * @typedef {import('./parser.js').SubtitleEntry} SubtitleEntry
+ */
+
+/**
+ * Saved progress of one translation job
+ * @typedef {Object} SavedJob
+ * @property {string} id - Content hash, target language and model, see getJobId
+ * @property {string} contentHash - SHA-256 of the decoded source file
+ * @property {string} fileName - Source file name
+ * @property {string} fileFormat - Source subtitle format
+ * @property {Uint8Array} bytes - Raw source file, so the job can be restored without uploading it again
+ * @property {string} encoding - Encoding the source was decoded with
+ * @property {string|null} sourceLang - Source language tag
+ * @property {string} targetLang - Target language tag
+ * @property {string} model - Provider and model, '' for jobs saved before models were recorded
+ * @property {number|string} batchSize - Batch size setting
+ * @property {number} totalBatches - Batches in the job
+ * @property {number} completedBatches - Batches translated without gaps
+ * @property {number} totalEntries - Subtitles in the job
+ * @property {SubtitleEntry[]} translatedEntries - Subtitles translated so far
+ * @property {boolean} failed - The run stopped on an error
+ * @property {number} savedAt - Time of the last save, in milliseconds
+ */
+
+const STORE = 'jobs';
+
+/**
+ * Hash file content with SHA-256
+ * Outside a secure context (a page opened from file://) Web Crypto is missing,
+ * and a 64-bit FNV-1a hash of the text is used instead
+ * @param {string} text - Decoded file content
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashContent(text) {
+    const data = new TextEncoder().encode(text);
+
+    if (globalThis.crypto?.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    let hash = 0xcbf29ce484222325n;
+    for (const byte of data) {
+        hash = BigInt.asUintN(64, (hash ^ BigInt(byte)) * 0x100000001b3n);
+    }
+    return `fnv-${hash.toString(16).padStart(16, '0')}`;
+}
+
+/**
+ * Build the key of a job
+ * @param {string} contentHash - Hash of the source file
+ * @param {string} targetLang - Target language tag
+ * @param {string} model - Provider and model
+ * @returns {string} Job id
+ */
+export function getJobId(contentHash, targetLang, model) {
+    return `${contentHash}|${targetLang}|${model}`;
+}
+
+/**
+ * Save a job's progress, replacing its earlier save
+ * @param {Omit<SavedJob, 'id' | 'savedAt'>} job - Job progress
+ * @returns {Promise<SavedJob>} Saved record
+ */
+export async function saveJob(job) {
+    const record = {
+        ...job,
+        id: getJobId(job.contentHash, job.targetLang, job.model),
+        savedAt: Date.now()
+    };
+    await withStore(STORE, 'readwrite', store => store.put(record));
+    return record;
+}
+
+/**
+ * Load a job's saved progress
+ * @param {string} id - Job id
+ * @returns {Promise<SavedJob|null>} Saved job, or null if there is none
+ */
+export async function loadJob(id) {
+    return (await withStore(STORE, 'readonly', store => store.get(id))) || null;
+}
+
+/**
+ * Load every saved job, most recently saved first
+ * @returns {Promise<SavedJob[]>} Saved jobs
+ */
+export async function getAllJobs() {
+    const jobs = await withStore(STORE, 'readonly', store => store.index('savedAt').getAll());
+    return jobs.reverse();
+}
+
+/**
+ * Delete a job's saved progress
+ * @param {string} id - Job id
+ * @returns {Promise<void>}
+ */
+export async function deleteJob(id) {
+    await withStore(STORE, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Check whether a job can be resumed
+ * @param {SavedJob|null} job - Saved job
+ * @returns {boolean} True if some, but not all, batches are done
+ */
+export function isResumable(job) {
+    return Boolean(job && job.translatedEntries?.length > 0 && job.completedBatches < job.totalBatches);
+}
@@ -0,0 +1,268 @@
+/**
+ * Languages Module
+ * Language tags, names and local source-language detection
+ *
+ * Languages are identified by BCP-47 tags ('es', 'pt-BR', 'zh-Hant');
+ * names come from Intl.DisplayNames so any language or variant works
+ */
+
+/**
+ * @typedef {import('./parser.js').SubtitleEntry} SubtitleEntry
+ */
+
+/**
+ * Prompt names where the standard English name is too vague
+ */
+const LANGUAGE_NAMES = {
+    fa: 'Persian (Farsi)',
+    zh: 'Simplified Chinese'
+};
+
+/**
+ * Language values used before BCP-47 tags (kept so saved progress still resolves)
+ */
+const LEGACY_LANGUAGES = {
+    english: 'en',
+    persian: 'fa',
+    arabic: 'ar',
+    spanish: 'es',
+    french: 'fr',
+    german: 'de',
+    italian: 'it',
+    portuguese: 'pt',
+    russian: 'ru',
+    chinese: 'zh',
+    japanese: 'ja',
+    korean: 'ko',
+    turkish: 'tr',
+    hindi: 'hi'
+};
+
+/**
+ * Codes machine translation providers use where they differ from the tag
+ */
+const MT_CODES = {
+    'zh-Hant': 'zt'
+};
+
+/**
+ * Languages and variants suggested in the language inputs
+ */
+export const SUGGESTED_LANGUAGES = [
+    'fa', 'ar', 'es', 'es-MX', 'es-ES', 'fr', 'fr-CA', 'de', 'it', 'pt-BR', 'pt-PT',
+    'ru', 'zh-Hans', 'zh-Hant', 'ja', 'ko', 'tr', 'hi', 'en', 'en-US', 'en-GB',
+    'nl', 'pl', 'sv', 'uk', 'he', 'id', 'vi', 'th', 'el', 'cs', 'ro', 'hu'
+];
+
+/**
+ * ISO 639-1 languages that can be found by their English name
+ */
+const NAMED_LANGUAGES = ('af am ar az be bg bn bs ca cs cy da de el en es et eu fa fi fr ga gl gu ha he hi hr hu hy ' +
+    'id ig is it ja jv ka kk km kn ko ku ky lo lt lv mk ml mn mr ms mt my ne nl no pa pl ps pt ro ru si sk sl so ' +
+    'sq sr sv sw ta te tg th tk tl tr uk ur uz vi xh yo zh zu').split(' ');
+
+const englishNames = new Intl.DisplayNames('en', { type: 'language', fallback: 'none' });
+
+/**
+ * Get the English display name of a tag
+ * @param {string} tag - BCP-47 tag
+ * @returns {string|undefined} Name, or undefined if the tag is unknown
+ */
+function getDisplayName(tag) {
+    try {
+        return englishNames.of(tag);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Get the full language name for prompts
+ * @param {string} langCode - Language tag
+ * @returns {string} Full language name
+ */
+export function getLanguageName(langCode) {
+    return LANGUAGE_NAMES[langCode] || getDisplayName(langCode) || langCode;
+}
+
+/**
+ * Get the UI label of a language, with its native name when it differs
+ * @param {string} langCode - Language tag
+ * @returns {string} Label, e.g. 'Brazilian Portuguese (português (Brasil))'
+ */
+export function getLanguageLabel(langCode) {
+    const name = getDisplayName(langCode);
+    if (!name) return langCode;
+
+    try {
+        const nativeName = new Intl.DisplayNames(langCode, { type: 'language', fallback: 'none' }).of(langCode);
+        return nativeName && nativeName !== name ? `${name} (${nativeName})` : name;
+    } catch (e) {
+        return name;
+    }
+}
+
+/**
+ * Get the code machine translation providers expect for a language
+ * @param {string} langCode - Language tag
+ * @returns {string} ISO 639-1 code (or provider-specific variant code)
+ */
+export function getLanguageCode(langCode) {
+    return MT_CODES[langCode] || langCode.split('-')[0];
+}
+
+/**
+ * Resolve user input to a language tag
+ * Accepts BCP-47 tags ('pt-BR'), English names ('Brazilian Portuguese')
+ * and the language values used by older versions ('persian')
+ * @param {string} input - Tag or name
+ * @returns {string|null} Canonical tag, or null if not recognised
+ */
+export function resolveLanguage(input) {
+    const value = (input || '').trim();
+    if (!value) return null;
+
+    const lower = value.toLowerCase();
+    if (LEGACY_LANGUAGES[lower]) {
+        return LEGACY_LANGUAGES[lower];
+    }
+
+    // BCP-47 tag
+    try {
+        const [tag] = Intl.getCanonicalLocales(value);
+        if (getDisplayName(tag)) {
+            return tag;
+        }
+    } catch (e) {
+        // Not a tag, try it as a name
+    }
+
+    // Language or variant name
+    const candidates = [...SUGGESTED_LANGUAGES, ...NAMED_LANGUAGES, ...Object.keys(LANGUAGE_NAMES)];
+    return candidates.find(tag =>
+        getDisplayName(tag)?.toLowerCase() === lower || LANGUAGE_NAMES[tag]?.toLowerCase() === lower
+    ) || null;
+}
+
+// Detection: number of entries sampled across the file
+const DETECTION_SAMPLE_SIZE = 60;
+// Detection: minimum share of stopwords needed to name a Latin-script language
+const MIN_STOPWORD_RATIO = 0.08;
+
+/**
+ * Scripts that identify a language (or a small family) on their own
+ */
+const SCRIPTS = {
+    kana: /[\u3040-\u30ff]/g,
+    hangul: /[\uac00-\ud7af]/g,
+    han: /[\u4e00-\u9fff]/g,
+    arabic: /[\u0600-\u06ff]/g,
+    cyrillic: /[\u0400-\u04ff]/g,
+    devanagari: /[\u0900-\u097f]/g,
+    latin: /[a-z\u00c0-\u024f]/gi
+};
+
+/**
+ * Letters used by Persian but not by Arabic (پ چ ژ گ ک ی)
+ */
+const PERSIAN_LETTERS = /[\u067e\u0686\u0698\u06af\u06a9\u06cc]/g;
+
+/**
+ * Frequent short words of Latin-script languages
+ */
+const STOPWORDS = {
+    en: ['the', 'and', 'you', 'to', 'is', 'it', 'that', 'of', 'what', 'this', 'in', 'me', 'have', "don't", 'we', 'your', 'are', 'just', "i'm", 'with'],
+    es: ['que', 'el', 'no', 'es', 'lo', 'por', 'qué', 'una', 'los', 'con', 'para', 'está', 'pero', 'yo', 'muy', 'esto', 'bien', 'eso', 'las', 'mi'],
+    fr: ['le', 'et', 'les', 'des', 'est', 'pas', 'je', 'vous', 'il', 'une', 'ce', 'ne', "c'est", 'qui', 'tu', 'à', 'au', 'mais', 'suis', 'nous'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'sie', 'ein', 'zu', 'wir', 'was', 'mit', 'den', 'ja', 'auf', 'mir', 'sich', 'hast'],
+    it: ['che', 'di', 'non', 'il', 'è', 'per', 'sono', 'ho', 'ma', 'gli', 'ti', 'cosa', 'questo', 'bene', 'ci', 'hai', 'della', 'perché', 'sei', 'anche'],
+    pt: ['não', 'o', 'um', 'eu', 'com', 'você', 'os', 'do', 'da', 'isso', 'no', 'na', 'mas', 'ele', 'tem', 'muito', 'vamos', 'aqui', 'estou', 'obrigado'],
+    tr: ['bir', 'bu', 've', 'ne', 'için', 'çok', 'ben', 'sen', 'mi', 'var', 'yok', 'değil', 'ama', 'gibi', 'evet', 'şey', 'daha', 'beni', 'seni', 'hayır']
+};
+
+/**
+ * Pick evenly spaced entries so the sample covers the whole file
+ * @param {SubtitleEntry[]} entries - Parsed entries
+ * @returns {string} Sampled text without markup
+ */
+function sampleText(entries) {
+    const step = Math.max(1, Math.floor(entries.length / DETECTION_SAMPLE_SIZE));
+    const sample = [];
+    for (let i = 0; i < entries.length && sample.length < DETECTION_SAMPLE_SIZE; i += step) {
+        sample.push(entries[i].text);
+    }
+    return sample.join('\n')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/\{[^}]*\}/g, ' ');
+}
+
+/**
+ * Count the matches of a global pattern
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @returns {number} Match count
+ */
+function countMatches(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+/**
+ * Guess a Latin-script language from its most frequent words
+ * @param {string} text - Sampled text
+ * @returns {string|null} Language tag, or null if no language stands out
+ */
+function detectLatinLanguage(text) {
+    const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+    if (words.length === 0) return null;
+
+    let best = null;
+    let bestScore = 0;
+
+    for (const [lang, stopwords] of Object.entries(STOPWORDS)) {
+        const list = new Set(stopwords);
+        const score = words.filter(word => list.has(word)).length;
+        if (score > bestScore) {
+            best = lang;
+            bestScore = score;
+        }
+    }
+
+    return bestScore / words.length >= MIN_STOPWORD_RATIO ? best : null;
+}
+
+/**
+ * Detect the language of subtitle entries with a local heuristic
+ * The dominant script decides non-Latin languages; Latin-script languages
+ * are told apart by their most frequent words
+ * @param {SubtitleEntry[]} entries - Parsed entries
+ * @returns {string|null} Language tag, or null if unsure
+ */
+export function detectLanguage(entries) {
+    if (!entries || entries.length === 0) return null;
+
+    const text = sampleText(entries);
+    const counts = Object.fromEntries(
+        Object.entries(SCRIPTS).map(([script, pattern]) => [script, countMatches(text, pattern)])
+    );
+    const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+
+    if (count === 0) return null;
+
+    switch (script) {
+        case 'kana':
+            return 'ja';
+        case 'han':
+            // Japanese mixes kanji with kana
+            return counts.kana > counts.han * 0.1 ? 'ja' : 'zh';
+        case 'hangul':
+            return 'ko';
+        case 'arabic':
+            return countMatches(text, PERSIAN_LETTERS) > count * 0.02 ? 'fa' : 'ar';
+        case 'cyrillic':
+            return 'ru';
+        case 'devanagari':
+            return 'hi';
+        default:
+            return detectLatinLanguage(text);
+    }
+}
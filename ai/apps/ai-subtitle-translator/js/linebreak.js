@@ -0,0 +1,240 @@
+/**
+ * Line Break Module
+ * Language-aware re-wrapping of translated subtitles into balanced lines
+ */
+
+/**
+ * Line wrapping options
+ * @typedef {Object} WrapOptions
+ * @property {number} [maxChars] - Maximum characters per line; defaults to the language's usual limit
+ * @property {string} [lang] - Language tag of the text
+ */
+
+/**
+ * Characters per line used when neither the user nor the language sets one
+ */
+export const DEFAULT_LINE_LENGTH = 42;
+
+/**
+ * Usual line lengths of languages that need fewer characters
+ */
+const LINE_LENGTHS = {
+    ja: 13,
+    zh: 16,
+    ko: 16
+};
+
+/**
+ * Markup that takes no room on screen: placeholders, ASS/MicroDVD codes and HTML-style tags
+ */
+const MARKUP_PATTERN = /\{[^}]*\}|<[^>\n]+>/g;
+
+/**
+ * Scripts written without spaces between words (kana, Han, Thai)
+ */
+const UNSPACED_SCRIPT = /[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\u0e00-\u0e7f]/;
+
+/**
+ * Lines spoken by different people, each starting with a dash
+ */
+const DIALOGUE_LINE = /^\s*(?:\{[^}]*\}|<[^>\n]+>)*\s*[-–—]/;
+
+/**
+ * Punctuation that ends a phrase, a good place to break after
+ */
+const PHRASE_END = /[,.;:!?…،؛؟、。，；：！？]["'”’」』)]*$/;
+
+/**
+ * Characters that may not start a line (Japanese/Chinese line breaking rules)
+ */
+const NO_LINE_START = /^[、。，．！？：；）」』】〉》’”…ー・ぁぃぅぇぉっゃゅょァィゥェォッャュョ)\]!?,.:;]/;
+
+/**
+ * Characters that may not end a line
+ */
+const NO_LINE_END = /[（「『【〈《‘“(\[]$/;
+
+/**
+ * Japanese particles, which belong to the word before them
+ */
+const JAPANESE_PARTICLES = ['は', 'が', 'を', 'に', 'で', 'と', 'の', 'も', 'へ', 'や', 'か', 'ね', 'よ', 'な', 'から', 'まで', 'より'];
+
+/**
+ * Short words that should not be left at the end of a line, away from the words they introduce
+ */
+const ORPHAN_WORDS = {
+    en: ['a', 'an', 'the', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'and', 'or', 'but', 'with', 'from', 'my', 'your', 'his', 'her', 'our', 'their', 'its', 'i'],
+    es: ['el', 'la', 'los', 'las', 'un', 'una', 'de', 'del', 'a', 'al', 'en', 'y', 'o', 'que', 'con', 'por', 'para', 'mi', 'tu', 'su', 'lo', 'se', 'no'],
+    fr: ['le', 'la', 'les', 'un', 'une', 'des', 'de', 'du', 'à', 'au', 'aux', 'en', 'et', 'ou', 'que', 'qui', 'je', 'tu', 'il', 'on', 'ne', 'mon', 'ton', 'son', 'ma', 'ta', 'sa', 'ce', 'pour', 'dans', 'sur', 'avec'],
+    de: ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'und', 'oder', 'zu', 'in', 'im', 'an', 'am', 'auf', 'mit', 'von', 'vom', 'für', 'ich', 'du', 'mein', 'dein', 'sein'],
+    it: ['il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'una', 'di', 'del', 'della', 'a', 'al', 'da', 'in', 'e', 'o', 'che', 'con', 'per', 'mi', 'ti', 'si', 'non'],
+    pt: ['o', 'a', 'os', 'as', 'um', 'uma', 'de', 'do', 'da', 'em', 'no', 'na', 'e', 'ou', 'que', 'com', 'por', 'para', 'meu', 'minha', 'seu', 'sua', 'se', 'não'],
+    ru: ['в', 'во', 'на', 'с', 'со', 'к', 'ко', 'и', 'а', 'но', 'о', 'об', 'у', 'за', 'из', 'от', 'по', 'до', 'для', 'не', 'я', 'мой', 'твой'],
+    tr: ['bir', 've', 'ile', 'bu', 'şu', 'o', 'çok', 'en'],
+    fa: ['و', 'به', 'از', 'در', 'با', 'که', 'را', 'این', 'آن', 'برای', 'تا'],
+    ar: ['و', 'في', 'من', 'على', 'إلى', 'عن', 'مع', 'أن', 'لا', 'ما', 'هذا', 'هذه']
+};
+
+/**
+ * Get the usual maximum line length of a language
+ * @param {string} [lang] - Language tag
+ * @returns {number} Characters per line
+ */
+export function getDefaultLineLength(lang) {
+    return LINE_LENGTHS[getBaseLanguage(lang)] || DEFAULT_LINE_LENGTH;
+}
+
+/**
+ * @param {string} [lang] - Language tag
+ * @returns {string} Lower-case language subtag
+ */
+function getBaseLanguage(lang) {
+    return (lang || '').split('-')[0].toLowerCase();
+}
+
+/**
+ * Count the characters shown on screen (code points, markup left out)
+ * @param {string} text - Text
+ * @returns {number} Visible length
+ */
+function visibleLength(text) {
+    return [...text.replace(MARKUP_PATTERN, '')].length;
+}
+
+/**
+ * Find the ranges covered by markup, where no break may go
+ * @param {string} text - Text
+ * @returns {Array<[number, number]>} Start and end offsets
+ */
+function findMarkupRanges(text) {
+    return [...text.matchAll(MARKUP_PATTERN)].map(match => [match.index, match.index + match[0].length]);
+}
+
+/**
+ * Find the offsets where a line may be broken
+ * Spaced text breaks at spaces; CJK and Thai break between words, found
+ * with Intl.Segmenter, or between any two characters if it is unavailable
+ * @param {string} text - Single-line text
+ * @param {string} lang - Language tag
+ * @param {boolean} unspaced - Text is written without spaces
+ * @returns {number[]} Break offsets; a space at the offset is dropped
+ */
+function findBreakOffsets(text, lang, unspaced) {
+    const offsets = new Set();
+
+    for (const match of text.matchAll(/ +/g)) {
+        offsets.add(match.index);
+    }
+
+    if (unspaced) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            const segmenter = new Intl.Segmenter(lang || undefined, { granularity: 'word' });
+            for (const segment of segmenter.segment(text)) {
+                offsets.add(segment.index);
+            }
+        } else {
+            let offset = 0;
+            for (const char of text) {
+                offsets.add(offset);
+                offset += char.length;
+            }
+        }
+    }
+
+    const markup = findMarkupRanges(text);
+    return [...offsets]
+        .filter(offset => offset > 0 && offset < text.length)
+        .filter(offset => !markup.some(([start, end]) => offset > start && offset < end))
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Score a two-line split; lower is better
+ * Lines over the limit weigh most, then uneven lengths; phrase ends are
+ * preferred and orphaned short words, particles and forbidden line starts avoided
+ * @param {string} first - First line
+ * @param {string} second - Second line
+ * @param {number} maxChars - Maximum characters per line
+ * @param {string} baseLang - Language subtag
+ * @returns {number} Score
+ */
+function scoreSplit(first, second, maxChars, baseLang) {
+    const firstLength = visibleLength(first);
+    const secondLength = visibleLength(second);
+    if (firstLength === 0 || secondLength === 0) return Infinity;
+
+    const firstVisible = first.replace(MARKUP_PATTERN, '').trim();
+    const secondVisible = second.replace(MARKUP_PATTERN, '').trim();
+
+    let score = Math.abs(firstLength - secondLength);
+    score += (Math.max(0, firstLength - maxChars) + Math.max(0, secondLength - maxChars)) * 100;
+
+    // Slightly prefer a longer bottom line, which is easier to read
+    if (firstLength > secondLength) score += 2;
+
+    if (PHRASE_END.test(firstVisible)) {
+        score -= Math.ceil(maxChars / 3);
+    }
+
+    if (NO_LINE_START.test(secondVisible) || NO_LINE_END.test(firstVisible)) {
+        score += 1000;
+    }
+
+    if (baseLang === 'ja' && JAPANESE_PARTICLES.some(particle => secondVisible.startsWith(particle))) {
+        score += 1000;
+    }
+
+    const lastWord = (firstVisible.match(/[\p{L}']+$/u) || [''])[0].toLowerCase();
+    if (ORPHAN_WORDS[baseLang]?.includes(lastWord)) {
+        score += Math.ceil(maxChars / 2);
+    }
+
+    return score;
+}
+
+/**
+ * Re-wrap a subtitle into at most two balanced lines
+ * Text that fits stays on one line; lines of a two-speaker dialogue
+ * (each starting with a dash) are kept as they are
+ * @param {string} text - Subtitle text, possibly with markup
+ * @param {WrapOptions} [options={}] - Wrapping options
+ * @returns {string} Wrapped text
+ */
+export function wrapText(text, options = {}) {
+    const lang = options.lang || '';
+    const baseLang = getBaseLanguage(lang);
+    const maxChars = options.maxChars > 0 ? options.maxChars : getDefaultLineLength(lang);
+
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) return text;
+    if (lines.length > 1 && lines.every(line => DIALOGUE_LINE.test(line))) {
+        return lines.join('\n');
+    }
+
+    const unspaced = UNSPACED_SCRIPT.test(text.replace(MARKUP_PATTERN, '')) && baseLang !== 'ko';
+    const joined = lines.reduce((result, line) => {
+        if (!result) return line;
+        // Unspaced scripts run on; a space would show up in the middle of a sentence
+        const glue = unspaced && UNSPACED_SCRIPT.test(result.slice(-1)) && UNSPACED_SCRIPT.test(line[0]) ? '' : ' ';
+        return result + glue + line;
+    }, '');
+
+    if (visibleLength(joined) <= maxChars) {
+        return joined;
+    }
+
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const offset of findBreakOffsets(joined, lang, unspaced)) {
+        const first = joined.slice(0, offset).trimEnd();
+        const second = joined.slice(offset).trimStart();
+        const score = scoreSplit(first, second, maxChars, baseLang);
+        if (score < bestScore) {
+            best = `${first}\n${second}`;
+            bestScore = score;
+        }
+    }
+
+    return best || joined;
+}
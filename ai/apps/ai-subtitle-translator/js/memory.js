@@ -0,0 +1,359 @@
+/**
+ * Translation Memory Module
+ * Earlier translations stored in IndexedDB by source text, languages and model,
+ * so lines already translated are reused instead of sent to the provider again
+ */
+
+import { withStore } from './db.js';
+
+/**
+ * Languages, model and style a translation was made with
+ * @typedef {Object} MemoryScope
+ * @property {string|null} [sourceLang] - Source language tag, or null if unknown
+ * @property {string} targetLang - Target language tag
+ * @property {string} model - Provider and model, e.g. 'gemini/gemini-2.0-flash'
+ * @property {string} [style=''] - Key of the style settings and glossary (see createStyleKey), '' for the defaults
+ */
+
+/**
+ * Stored translation
+ * @typedef {Object} MemoryEntry
+ * @property {string} key - Lookup key built from the source text and scope
+ * @property {string} source - Source subtitle text
+ * @property {string} target - Translation
+ * @property {string} sourceLang - Source language tag, '' if unknown
+ * @property {string} targetLang - Target language tag
+ * @property {string} model - Provider and model
+ * @property {string} style - Key of the style settings and glossary, '' for the defaults
+ * @property {number} updated - Time of the last change, in milliseconds
+ */
+
+const STORE = 'memory';
+
+/**
+ * Model of entries imported without one; they match every model
+ */
+export const ANY_MODEL = '*';
+
+/**
+ * TMX language code of an unknown source language
+ */
+const UNKNOWN_LANGUAGE = 'und';
+
+/**
+ * Build a short key of the settings that change a translation besides the languages
+ * and model, so e.g. a formal translation is not reused for an informal run
+ * @param {Array} settings - Settings to key, in a fixed order
+ * @returns {string} 8-digit FNV-1a hash of the settings
+ */
+export function createStyleKey(settings) {
+    const text = JSON.stringify(settings);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build the lookup key of a source text
+ * @param {string} source - Source text
+ * @param {MemoryScope} scope - Languages, model and style
+ * @returns {string} Key
+ */
+function getMemoryKey(source, scope) {
+    return JSON.stringify([
+        scope.model,
+        scope.style || '',
+        (scope.sourceLang || '').toLowerCase(),
+        scope.targetLang.toLowerCase(),
+        source
+    ]);
+}
+
+/**
+ * Build a complete entry from a source text, its translation and scope
+ * @param {string} source - Source text
+ * @param {string} target - Translation
+ * @param {MemoryScope} scope - Languages, model and style
+ * @param {number} [updated=Date.now()] - Time of the change
+ * @returns {MemoryEntry} Entry
+ */
+function createEntry(source, target, scope, updated = Date.now()) {
+    return {
+        key: getMemoryKey(source, scope),
+        source,
+        target,
+        sourceLang: scope.sourceLang || '',
+        targetLang: scope.targetLang,
+        model: scope.model,
+        style: scope.style || '',
+        updated
+    };
+}
+
+/**
+ * Find stored translations of some texts
+ * Entries of the same model win over imported entries without a model
+ * @param {string[]} texts - Source texts
+ * @param {MemoryScope} scope - Languages, model and style
+ * @returns {Promise<Map<string, string>>} Translation by source text, for the texts found
+ */
+export async function lookupMemory(texts, scope) {
+    const unique = [...new Set(texts)];
+    const anyScope = { ...scope, model: ANY_MODEL };
+
+    const results = await withStore(STORE, 'readonly', store => unique.flatMap(text => [
+        store.get(getMemoryKey(text, scope)),
+        store.get(getMemoryKey(text, anyScope))
+    ]));
+
+    const found = new Map();
+    unique.forEach((text, i) => {
+        const entry = results[i * 2] || results[i * 2 + 1];
+        if (entry) found.set(text, entry.target);
+    });
+    return found;
+}
+
+/**
+ * Store translations, replacing earlier ones of the same text and scope
+ * @param {Array<{source: string, target: string}>} pairs - Source texts and translations
+ * @param {MemoryScope} scope - Languages, model and style
+ * @returns {Promise<void>}
+ */
+export async function addToMemory(pairs, scope) {
+    const entries = pairs
+        .filter(pair => pair.source.trim() && pair.target.trim())
+        .map(pair => createEntry(pair.source, pair.target, scope));
+    if (entries.length === 0) return;
+
+    await withStore(STORE, 'readwrite', store => {
+        entries.forEach(entry => store.put(entry));
+    });
+}
+
+/**
+ * Load every stored translation, newest first
+ * @returns {Promise<MemoryEntry[]>} Entries
+ */
+export async function getAllMemory() {
+    const entries = await withStore(STORE, 'readonly', store => store.index('updated').getAll());
+    return entries.reverse();
+}
+
+/**
+ * Count the stored translations
+ * @returns {Promise<number>} Number of entries
+ */
+export function countMemory() {
+    return withStore(STORE, 'readonly', store => store.count());
+}
+
+/**
+ * Remove one stored translation
+ * @param {string} key - Entry key
+ * @returns {Promise<void>}
+ */
+export async function deleteMemoryEntry(key) {
+    await withStore(STORE, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Remove every stored translation
+ * @returns {Promise<void>}
+ */
+export async function clearMemory() {
+    await withStore(STORE, 'readwrite', store => store.clear());
+}
+
+/**
+ * Store imported entries, keeping the newer of two translations of the same text
+ * @param {MemoryEntry[]} entries - Parsed entries
+ * @returns {Promise<number>} Number of entries added or replaced
+ */
+export async function importMemory(entries) {
+    if (entries.length === 0) return 0;
+
+    const existing = await withStore(STORE, 'readonly', store => entries.map(entry => store.get(entry.key)));
+    const newer = entries.filter((entry, i) => !existing[i] || existing[i].updated <= entry.updated);
+
+    await withStore(STORE, 'readwrite', store => {
+        newer.forEach(entry => store.put(entry));
+    });
+    return newer.length;
+}
+
+/**
+ * Export entries as JSON
+ * @param {MemoryEntry[]} entries - Entries to export
+ * @returns {string} JSON content
+ */
+export function exportMemoryJSON(entries) {
+    const rows = entries.map(({ source, target, sourceLang, targetLang, model, style, updated }) => ({
+        source,
+        target,
+        sourceLang,
+        targetLang,
+        model,
+        style,
+        updated: new Date(updated).toISOString()
+    }));
+    return JSON.stringify(rows, null, 2);
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a time as a TMX date (YYYYMMDDThhmmssZ)
+ * @param {number} time - Time in milliseconds
+ * @returns {string} TMX date
+ */
+function formatTMXDate(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * Parse a TMX date
+ * @param {string|null} value - TMX date
+ * @returns {number} Time in milliseconds, now if missing or invalid
+ */
+function parseTMXDate(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    return match
+        ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6])
+        : Date.now();
+}
+
+/**
+ * Export entries as TMX 1.4, the exchange format of translation memory tools
+ * The model and style are kept in x-model and x-style properties; an unknown source language is written as 'und'
+ * @param {MemoryEntry[]} entries - Entries to export
+ * @returns {string} TMX content
+ */
+export function exportMemoryTMX(entries) {
+    const units = entries.map(entry => `    <tu changedate="${formatTMXDate(entry.updated)}">
+      <prop type="x-model">${escapeXML(entry.model)}</prop>${entry.style ? `
+      <prop type="x-style">${escapeXML(entry.style)}</prop>` : ''}
+      <tuv xml:lang="${escapeXML(entry.sourceLang || UNKNOWN_LANGUAGE)}"><seg>${escapeXML(entry.source)}</seg></tuv>
+      <tuv xml:lang="${escapeXML(entry.targetLang)}"><seg>${escapeXML(entry.target)}</seg></tuv>
+    </tu>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<tmx version="1.4">
+  <header creationtool="AI Subtitle Translator" creationtoolversion="1.0" segtype="block" o-tmf="subtranslator" adminlang="en" srclang="*all*" datatype="plaintext"/>
+  <body>
+${units.join('\n')}
+  </body>
+</tmx>
+`;
+}
+
+/**
+ * Get the language of a TMX variant
+ * @param {Element} tuv - tuv element
+ * @returns {string} Language tag, '' if unknown
+ */
+function getTuvLanguage(tuv) {
+    const lang = tuv.getAttribute('xml:lang') || tuv.getAttribute('lang') || '';
+    return lang.toLowerCase() === UNKNOWN_LANGUAGE ? '' : lang;
+}
+
+/**
+ * Parse a TMX file
+ * The source variant is the header's srclang, or the first one;
+ * every other variant of a unit becomes an entry. Units without an
+ * x-model property, e.g. from other tools, match every model; units
+ * without an x-style property match runs with the default style
+ * @param {string} content - TMX content
+ * @returns {MemoryEntry[]} Entries
+ */
+export function parseMemoryTMX(content) {
+    const doc = new DOMParser().parseFromString(content.replace(/^\uFEFF/, ''), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid TMX file');
+    }
+
+    const header = doc.getElementsByTagName('header')[0];
+    const srcLang = (header?.getAttribute('srclang') || '').toLowerCase();
+    const entries = [];
+
+    for (const unit of doc.getElementsByTagName('tu')) {
+        const variants = [...unit.getElementsByTagName('tuv')].map(tuv => ({
+            lang: getTuvLanguage(tuv),
+            text: tuv.getElementsByTagName('seg')[0]?.textContent || ''
+        }));
+        if (variants.length < 2) continue;
+
+        const unitSrcLang = (unit.getAttribute('srclang') || srcLang).toLowerCase();
+        const source = variants.find(variant => variant.lang.toLowerCase() === unitSrcLang) || variants[0];
+        const props = [...unit.getElementsByTagName('prop')];
+        const modelProp = props.find(prop => prop.getAttribute('type') === 'x-model');
+        const styleProp = props.find(prop => prop.getAttribute('type') === 'x-style');
+        const model = modelProp?.textContent.trim() || ANY_MODEL;
+        const style = styleProp?.textContent.trim() || '';
+        const updated = parseTMXDate(unit.getAttribute('changedate') || unit.getAttribute('creationdate'));
+
+        variants
+            .filter(variant => variant !== source && variant.lang)
+            .forEach(variant => {
+                entries.push(createEntry(source.text, variant.text, {
+                    sourceLang: source.lang,
+                    targetLang: variant.lang,
+                    model,
+                    style
+                }, updated));
+            });
+    }
+
+    return entries.filter(entry => entry.source.trim() && entry.target.trim());
+}
+
+/**
+ * Parse a JSON export
+ * @param {string} content - JSON content, an array of { source, target, sourceLang, targetLang, model, style, updated }
+ * @returns {MemoryEntry[]} Entries
+ */
+export function parseMemoryJSON(content) {
+    const data = JSON.parse(content.replace(/^\uFEFF/, ''));
+    if (!Array.isArray(data)) {
+        throw new Error('Expected an array of translations');
+    }
+
+    return data
+        .filter(row => row && typeof row.source === 'string' && typeof row.target === 'string' && row.targetLang)
+        .filter(row => row.source.trim() && row.target.trim())
+        .map(row => {
+            const updated = Date.parse(row.updated);
+            return createEntry(row.source, row.target, {
+                sourceLang: row.sourceLang || '',
+                targetLang: String(row.targetLang),
+                model: row.model ? String(row.model) : ANY_MODEL,
+                style: row.style ? String(row.style) : ''
+            }, Number.isFinite(updated) ? updated : Date.now());
+        });
+}
+
+/**
+ * Parse an imported memory file by its extension
+ * @param {string} fileName - Imported file name
+ * @param {string} content - File content
+ * @returns {MemoryEntry[]} Entries
+ */
+export function parseMemoryFile(fileName, content) {
+    return fileName.toLowerCase().endsWith('.json')
+        ? parseMemoryJSON(content)
+        : parseMemoryTMX(content);
+}
@@ -1,6 +1,7 @@
 /**
  * Subtitle Parser Module
- * Handles parsing and generating SRT and VTT subtitle formats
+ * Format registry for parsing and generating SRT, VTT, ASS/SSA, SBV,
+ * SubViewer, MicroDVD, TTML/DFXP and plain transcripts
  */
 
 /**
@@ -10,80 +11,240 @@
  * @property {string} startTime - Start timestamp
  * @property {string} endTime - End timestamp
  * @property {string} text - The subtitle text content
+ * @property {AssLine} [ass] - ASS/SSA fields of the Dialogue line
+ * @property {VttCue} [vtt] - WebVTT cue details
+ * @property {{startFrame: number, endFrame: number}} [microdvd] - MicroDVD frames, used to re-time for another frame rate
+ * @property {{attributes: Object<string, string>}} [ttml] - TTML <p> attributes other than timing (style, region...)
+ */
+
+/**
+ * WebVTT cue details kept for regeneration
+ * @typedef {Object} VttCue
+ * @property {string|null} id - Cue identifier as written (may be any string)
+ * @property {string} settings - Cue settings after the timing, e.g. 'align:start line:90%'
+ * @property {string[]} before - NOTE/STYLE/REGION blocks that preceded the cue
+ */
+
+/**
+ * ASS/SSA Dialogue line details kept for regeneration
+ * @typedef {Object} AssLine
+ * @property {Object<string, string>} fields - Field values by [Events] Format name (Layer, Style, Name, Effect...)
+ * @property {string[]} before - Non-dialogue event lines (e.g. Comment:) that preceded this line
  */
 
 /**
  * Parsed subtitle file structure
  * @typedef {Object} ParsedSubtitle
- * @property {string} format - 'srt' or 'vtt'
- * @property {string} header - VTT header (empty for SRT)
+ * @property {string} format - Format id, a key of SUBTITLE_FORMATS
+ * @property {string} header - VTT header with any blocks before the first cue, every ASS section up to the [Events] Format line,
+ *     the SubViewer [INFORMATION] block, the MicroDVD frame rate line or the serialized TTML <head> (empty for SRT)
  * @property {SubtitleEntry[]} entries - Array of subtitle entries
+ * @property {string[]} [eventFormat] - ASS [Events] Format field names
+ * @property {string} [footer] - VTT blocks after the last cue, or ASS lines after the last Dialogue line
+ * @property {number} [frameRate] - MicroDVD frame rate
+ * @property {string} [language] - TTML xml:lang
+ * @property {ParseDiagnostic[]} [diagnostics] - Problems repaired or cues dropped while parsing
  */
 
 /**
- * Detect the format of a subtitle file
- * @param {string} content - Raw subtitle file content
- * @returns {'srt' | 'vtt'} The detected format
+ * Problem found while parsing
+ * @typedef {Object} ParseDiagnostic
+ * @property {number} line - 1-based line number in the file
+ * @property {string} problem - Human readable description
+ * @property {'repaired' | 'dropped'} action - What the parser did about it
  */
-export function detectFormat(content) {
-    const trimmed = content.trim();
-    if (trimmed.startsWith('WEBVTT')) {
-        return 'vtt';
-    }
-    return 'srt';
+
+/**
+ * Timestamp layout of each timed format
+ */
+const TIMESTAMP_FORMATS = {
+    srt: { pattern: /^\d{2}:\d{2}:\d{2},\d{3}$/, separator: ',', digits: 3, padHours: true },
+    vtt: { pattern: /^(?:\d+:)?\d{2}:\d{2}\.\d{3}$/, separator: '.', digits: 3, padHours: true },
+    ass: { pattern: /^\d+:\d{2}:\d{2}\.\d{2}$/, separator: '.', digits: 2, padHours: false },
+    sbv: { pattern: /^\d+:\d{2}:\d{2}\.\d{3}$/, separator: '.', digits: 3, padHours: false },
+    subviewer: { pattern: /^\d{2}:\d{2}:\d{2}\.\d{2}$/, separator: '.', digits: 2, padHours: true },
+    ttml: { pattern: /^\d{2}:\d{2}:\d{2}\.\d{3}$/, separator: '.', digits: 3, padHours: true }
+};
+
+/**
+ * Convert a timestamp of any supported format to milliseconds
+ * Accepts 00:00:01,000 / 00:01.000 / 0:00:01.00 and similar
+ * @param {string} timestamp - Timestamp
+ * @returns {number} Milliseconds, or NaN if not recognised
+ */
+export function timestampToMs(timestamp) {
+    const match = String(timestamp).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[,.](\d+))?$/);
+    if (!match) return NaN;
+
+    const [, hours = '0', minutes, seconds, fraction = ''] = match;
+    const ms = fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0;
+    return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + ms;
+}
+
+/**
+ * Format milliseconds as a timestamp
+ * @param {number} ms - Milliseconds
+ * @param {string} [format='srt'] - Timestamp layout (srt, vtt, ass, sbv, subviewer, ttml)
+ * @returns {string} Timestamp
+ */
+export function msToTimestamp(ms, format = 'srt') {
+    const layout = TIMESTAMP_FORMATS[format] || TIMESTAMP_FORMATS.srt;
+    const unit = 10 ** (3 - layout.digits);
+    const total = Math.round(Math.max(0, ms) / unit) * unit;
+
+    const pad = (value, length) => String(value).padStart(length, '0');
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    const fraction = (total % 1000) / unit;
+
+    return `${layout.padHours ? pad(hours, 2) : hours}:${pad(minutes, 2)}:${pad(seconds, 2)}${layout.separator}${pad(fraction, layout.digits)}`;
+}
+
+/**
+ * Write a timestamp in a format's layout; timestamps that already fit are kept as is
+ * @param {string} timestamp - Timestamp in any supported layout
+ * @param {string} format - Target layout
+ * @returns {string} Timestamp
+ */
+export function convertTimestamp(timestamp, format) {
+    const layout = TIMESTAMP_FORMATS[format];
+    if (!layout || layout.pattern.test(timestamp)) return timestamp;
+
+    const ms = timestampToMs(timestamp);
+    return isNaN(ms) ? timestamp : msToTimestamp(ms, format);
+}
+
+/**
+ * SRT timing line, tolerant of single-digit fields, '.' or ':' before the
+ * milliseconds, missing milliseconds and '->' arrows; position coordinates after it are ignored
+ */
+const SRT_TIMING_PATTERN = /^(\d+:\d{1,2}:\d{1,2}(?:[,.:]\d{1,3})?)\s*-{1,2}>\s*(\d+:\d{1,2}:\d{1,2}(?:[,.:]\d{1,3})?)(?:\s.*)?$/;
+
+/**
+ * Normalize a tolerated SRT timestamp to 00:00:00,000
+ * @param {string} timestamp - Timestamp as written
+ * @returns {string} Normalized timestamp
+ */
+function normalizeSRTTimestamp(timestamp) {
+    const [, hours, minutes, seconds, fraction] = timestamp.match(/^(\d+):(\d{1,2}):(\d{1,2})(?:[,.:](\d{1,3}))?$/);
+    const ms = fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0;
+    return msToTimestamp(((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + ms, 'srt');
 }
 
 /**
  * Parse an SRT file
+ * Cues are found by their timing lines, so missing or broken indexes, missing blank
+ * lines and blank lines inside the text are recovered. Everything repaired or dropped
+ * is reported in `diagnostics`.
  * @param {string} content - Raw SRT file content
  * @returns {ParsedSubtitle} Parsed subtitle object
  */
 export function parseSRT(content) {
     const entries = [];
-    const normalizedContent = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-    
-    // Split by double newlines to get blocks
-    const blocks = normalizedContent.trim().split(/\n\n+/);
-    
-    for (const block of blocks) {
-        const lines = block.trim().split('\n');
-        if (lines.length < 3) continue;
-        
-        // First line is the index
-        const index = parseInt(lines[0].trim(), 10);
-        if (isNaN(index)) continue;
-        
-        // Second line is the timestamp
-        const timestampLine = lines[1].trim();
-        const timestampMatch = timestampLine.match(
-            /(\d{2}:\d{2}:\d{2}[,\.]\d{3})\s*-->\s*(\d{2}:\d{2}:\d{2}[,\.]\d{3})/
-        );
-        
-        if (!timestampMatch) continue;
-        
-        const startTime = timestampMatch[1];
-        const endTime = timestampMatch[2];
-        
-        // Remaining lines are the text
-        const text = lines.slice(2).join('\n');
-        
+    const diagnostics = [];
+    const lines = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    const isBlank = i => i < 0 || lines[i].trim() === '';
+
+    // Locate cues: a timing line, optionally preceded by its index line
+    const cues = [];
+    lines.forEach((line, i) => {
+        const timingMatch = line.trim().match(SRT_TIMING_PATTERN);
+        if (!timingMatch) return;
+
+        const previousEnd = cues.length > 0 ? cues[cues.length - 1].timingLine : -1;
+        let indexLine = null;
+        if (i - 1 > previousEnd && !isBlank(i - 1)) {
+            // A non-numeric line right after a blank line is a broken index;
+            // otherwise it is text of the previous cue
+            if (/^\d+$/.test(lines[i - 1].trim()) || isBlank(i - 2)) {
+                indexLine = i - 1;
+            }
+        }
+
+        cues.push({ timingLine: i, indexLine, timingMatch });
+    });
+
+    const firstStart = cues.length > 0 ? cues[0].indexLine ?? cues[0].timingLine : lines.length;
+    const strayLine = lines.slice(0, firstStart).findIndex(line => line.trim());
+    if (strayLine !== -1) {
+        diagnostics.push({ line: strayLine + 1, problem: 'Text before the first cue ignored', action: 'dropped' });
+    }
+
+    // Index the file should have next; a gap or repeat is reported once, not for every later cue
+    let expectedIndex = 1;
+
+    cues.forEach((cue, k) => {
+        const next = cues[k + 1];
+        const textEnd = next ? next.indexLine ?? next.timingLine : lines.length;
+        const lineNumber = cue.timingLine + 1;
+
+        const written = cue.indexLine !== null ? lines[cue.indexLine].trim() : null;
+        const writtenIndex = /^\d+$/.test(written) ? Number(written) : null;
+        if (writtenIndex !== null && writtenIndex !== expectedIndex) {
+            diagnostics.push({ line: cue.indexLine + 1, problem: `Index ${written} out of sequence (expected ${expectedIndex})`, action: 'repaired' });
+        }
+        expectedIndex = (writtenIndex ?? expectedIndex) + 1;
+
+        // Text, without surrounding blank lines
+        let textLines = lines.slice(cue.timingLine + 1, textEnd);
+        while (textLines.length > 0 && !textLines[textLines.length - 1].trim()) textLines.pop();
+        while (textLines.length > 0 && !textLines[0].trim()) textLines.shift();
+
+        if (textLines.length === 0) {
+            diagnostics.push({ line: lineNumber, problem: 'Cue has no text', action: 'dropped' });
+            return;
+        }
+
+        if (textLines.some(line => !line.trim())) {
+            textLines = textLines.filter(line => line.trim());
+            diagnostics.push({ line: lineNumber, problem: 'Blank lines inside the cue text removed', action: 'repaired' });
+        }
+
+        // Entries are numbered in order, whatever the file says
+        const index = entries.length + 1;
+        if (written === null) {
+            diagnostics.push({ line: lineNumber, problem: `Missing index, numbered ${index}`, action: 'repaired' });
+        } else if (writtenIndex === null) {
+            diagnostics.push({ line: cue.indexLine + 1, problem: `Invalid index "${written}", numbered ${index}`, action: 'repaired' });
+        }
+
+        const [, rawStart, rawEnd] = cue.timingMatch;
+        const startTime = normalizeSRTTimestamp(rawStart);
+        const endTime = normalizeSRTTimestamp(rawEnd);
+        if (startTime !== rawStart || endTime !== rawEnd) {
+            diagnostics.push({ line: lineNumber, problem: `Timestamps "${rawStart} --> ${rawEnd}" normalized`, action: 'repaired' });
+        }
+
         entries.push({
             index,
             startTime,
             endTime,
-            text
+            text: textLines.join('\n')
         });
-    }
-    
+    });
+
     return {
         format: 'srt',
         header: '',
-        entries
+        entries,
+        diagnostics
     };
 }
 
+/**
+ * VTT blocks that are not cues; kept verbatim
+ */
+const VTT_BLOCK_PATTERN = /^(?:NOTE|STYLE|REGION)(?:[ \t\n]|$)/;
+
+/**
+ * VTT timing line: start --> end, followed by optional cue settings
+ */
+const VTT_TIMING_PATTERN = /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/;
+
 /**
  * Parse a VTT file
+ * Cue IDs, cue settings and NOTE/STYLE/REGION blocks are kept for regeneration
  * @param {string} content - Raw VTT file content
  * @returns {ParsedSubtitle} Parsed subtitle object
  */
@@ -91,31 +252,36 @@ export function parseVTT(content) {
     const entries = [];
     const normalizedContent = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
     
-    // Split content into header and cues
+    // Split content into header and blocks
     const parts = normalizedContent.split(/\n\n+/);
     
     // First part should be the header (WEBVTT line + optional metadata)
-    let header = '';
+    const headerBlocks = [];
     let startIndex = 0;
     
     if (parts[0].trim().startsWith('WEBVTT')) {
-        header = parts[0].trim();
+        headerBlocks.push(parts[0].trim());
         startIndex = 1;
     }
     
-    let cueIndex = 1;
+    // NOTE/STYLE/REGION blocks waiting for the next cue
+    let pending = [];
     
     for (let i = startIndex; i < parts.length; i++) {
         const block = parts[i].trim();
         if (!block) continue;
         
+        if (VTT_BLOCK_PATTERN.test(block)) {
+            pending.push(block);
+            continue;
+        }
+        
         const lines = block.split('\n');
         
-        // Find the timestamp line
+        // First line is a cue identifier when it has no arrow
         let timestampLineIndex = 0;
         let cueId = null;
         
-        // Check if first line is a cue identifier (doesn't contain -->)
         if (lines[0] && !lines[0].includes('-->')) {
             cueId = lines[0].trim();
             timestampLineIndex = 1;
@@ -123,44 +289,490 @@ export function parseVTT(content) {
         
         if (timestampLineIndex >= lines.length) continue;
         
-        const timestampLine = lines[timestampLineIndex];
-        const timestampMatch = timestampLine.match(
-            /(\d{2}:\d{2}:\d{2}\.\d{3}|\d{2}:\d{2}\.\d{3})\s*-->\s*(\d{2}:\d{2}:\d{2}\.\d{3}|\d{2}:\d{2}\.\d{3})/
-        );
-        
+        const timestampMatch = lines[timestampLineIndex].trim().match(VTT_TIMING_PATTERN);
         if (!timestampMatch) continue;
         
-        const startTime = timestampMatch[1];
-        const endTime = timestampMatch[2];
-        
-        // Remaining lines are the text
-        const text = lines.slice(timestampLineIndex + 1).join('\n');
+        // Blocks before the first cue belong to the header
+        if (entries.length === 0) {
+            headerBlocks.push(...pending);
+            pending = [];
+        }
         
         entries.push({
-            index: cueId ? parseInt(cueId, 10) || cueIndex : cueIndex,
-            startTime,
-            endTime,
-            text
+            index: entries.length + 1,
+            startTime: timestampMatch[1],
+            endTime: timestampMatch[2],
+            // Remaining lines are the text
+            text: lines.slice(timestampLineIndex + 1).join('\n'),
+            vtt: {
+                id: cueId,
+                settings: timestampMatch[3].trim(),
+                before: pending
+            }
         });
-        
-        cueIndex++;
+        pending = [];
     }
     
     return {
         format: 'vtt',
-        header: header || 'WEBVTT',
+        header: headerBlocks.length > 0 ? headerBlocks.join('\n\n') : 'WEBVTT',
+        entries,
+        footer: pending.join('\n\n')
+    };
+}
+
+/**
+ * [Events] Format used when none is given (ASS v4+)
+ */
+const ASS_EVENT_FORMAT = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+
+/**
+ * Split the values of a Dialogue line; the last field (Text) may contain commas
+ * @param {string} values - Everything after "Dialogue:"
+ * @param {number} count - Number of fields
+ * @returns {string[]} Field values
+ */
+function splitAssFields(values, count) {
+    const fields = [];
+    let rest = values;
+    for (let i = 0; i < count - 1; i++) {
+        const comma = rest.indexOf(',');
+        if (comma === -1) break;
+        fields.push(rest.substring(0, comma).trim());
+        rest = rest.substring(comma + 1);
+    }
+    fields.push(rest);
+    return fields;
+}
+
+/**
+ * Parse an ASS/SSA file
+ * Everything outside the Dialogue lines is kept verbatim for regeneration
+ * @param {string} content - Raw ASS/SSA file content
+ * @returns {ParsedSubtitle} Parsed subtitle object
+ */
+export function parseASS(content) {
+    const entries = [];
+    const normalizedContent = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+
+    const headerLines = [];
+    const footerLines = [];
+    let eventFormat = null;
+    let section = 'header';
+    let pending = [];
+
+    for (const line of normalizedContent.split('\n')) {
+        const trimmed = line.trim();
+        const sectionMatch = trimmed.match(/^\[(.+)\]$/);
+
+        if (sectionMatch) {
+            if (section === 'events') {
+                section = 'footer';
+            } else if (section === 'header' && sectionMatch[1].toLowerCase() === 'events') {
+                section = 'events';
+                headerLines.push(line);
+                continue;
+            }
+        }
+
+        if (section === 'header') {
+            headerLines.push(line);
+            continue;
+        }
+        if (section === 'footer') {
+            footerLines.push(line);
+            continue;
+        }
+
+        // [Events] section
+        if (/^Format:/i.test(trimmed)) {
+            eventFormat = trimmed.substring(7).split(',').map(name => name.trim());
+            headerLines.push(line);
+            continue;
+        }
+
+        const dialogueMatch = trimmed.match(/^Dialogue:\s?(.*)$/i);
+        if (dialogueMatch) {
+            const format = eventFormat || ASS_EVENT_FORMAT;
+            const values = splitAssFields(dialogueMatch[1], format.length);
+            const fields = Object.fromEntries(format.map((name, i) => [name, values[i] ?? '']));
+
+            entries.push({
+                index: entries.length + 1,
+                startTime: fields.Start,
+                endTime: fields.End,
+                // \N is a hard line break
+                text: (fields.Text || '').replace(/\\N/g, '\n'),
+                ass: { fields, before: pending }
+            });
+            pending = [];
+        } else if (trimmed) {
+            pending.push(line);
+        }
+    }
+
+    // Trailing comments stay at the end of [Events], other sections follow
+    while (footerLines.length > 0 && !footerLines[footerLines.length - 1].trim()) {
+        footerLines.pop();
+    }
+    const footer = [...pending, ...(footerLines.length > 0 ? ['', ...footerLines] : [])].join('\n');
+
+    return {
+        format: 'ass',
+        header: headerLines.join('\n').trimEnd(),
+        entries,
+        eventFormat: eventFormat || ASS_EVENT_FORMAT,
+        footer
+    };
+}
+
+/**
+ * SBV timing line: start,end
+ */
+const SBV_TIMING_PATTERN = /^(\d+:\d{2}:\d{2}\.\d{3}),(\d+:\d{2}:\d{2}\.\d{3})$/;
+
+/**
+ * Parse a YouTube SBV file
+ * @param {string} content - Raw SBV file content
+ * @returns {ParsedSubtitle} Parsed subtitle object
+ */
+export function parseSBV(content) {
+    const entries = [];
+    const normalizedContent = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+
+    for (const block of normalizedContent.trim().split(/\n\n+/)) {
+        const lines = block.trim().split('\n');
+        const timestampMatch = lines[0].trim().match(SBV_TIMING_PATTERN);
+        if (!timestampMatch || lines.length < 2) continue;
+
+        entries.push({
+            index: entries.length + 1,
+            startTime: timestampMatch[1],
+            endTime: timestampMatch[2],
+            text: lines.slice(1).join('\n')
+        });
+    }
+
+    return {
+        format: 'sbv',
+        header: '',
         entries
     };
 }
 
 /**
- * Parse a subtitle file (auto-detect format)
- * @param {string} content - Raw subtitle file content
+ * SubViewer 2.0 timing line: start,end with centiseconds
+ */
+const SUBVIEWER_TIMING_PATTERN = /^(\d{2}:\d{2}:\d{2}\.\d{2}),(\d{2}:\d{2}:\d{2}\.\d{2})$/;
+
+/**
+ * Parse a SubViewer 2.0 file
+ * The [INFORMATION] block and style line before the first cue are kept as the header
+ * @param {string} content - Raw SubViewer file content
+ * @returns {ParsedSubtitle} Parsed subtitle object
+ */
+export function parseSubViewer(content) {
+    const entries = [];
+    const lines = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    const headerLines = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const timestampMatch = lines[i].trim().match(SUBVIEWER_TIMING_PATTERN);
+        if (!timestampMatch) {
+            if (entries.length === 0) {
+                headerLines.push(lines[i]);
+            }
+            continue;
+        }
+
+        // Text runs until the next blank line
+        const textLines = [];
+        while (i + 1 < lines.length && lines[i + 1].trim()) {
+            textLines.push(lines[++i]);
+        }
+
+        entries.push({
+            index: entries.length + 1,
+            startTime: timestampMatch[1],
+            endTime: timestampMatch[2],
+            text: textLines.join('\n').replace(/\[br\]/gi, '\n')
+        });
+    }
+
+    return {
+        format: 'subviewer',
+        header: headerLines.join('\n').trim(),
+        entries
+    };
+}
+
+/**
+ * Frame rate assumed for MicroDVD files that don't state one
+ */
+export const DEFAULT_FRAME_RATE = 23.976;
+
+/**
+ * MicroDVD line: {start frame}{end frame}text
+ */
+const MICRODVD_LINE_PATTERN = /^\{(\d+)\}\{(\d*)\}(.*)$/;
+
+/**
+ * Re-time MicroDVD entries for a frame rate (in place)
+ * @param {ParsedSubtitle} subtitle - Parsed subtitle; entries without frames are left alone
+ * @param {number} frameRate - Frames per second
+ */
+export function setFrameRate(subtitle, frameRate) {
+    subtitle.frameRate = frameRate;
+    subtitle.entries.forEach(entry => {
+        if (!entry.microdvd) return;
+        entry.startTime = msToTimestamp(entry.microdvd.startFrame / frameRate * 1000, 'srt');
+        entry.endTime = msToTimestamp(entry.microdvd.endFrame / frameRate * 1000, 'srt');
+    });
+}
+
+/**
+ * Parse a MicroDVD file
+ * A leading {1}{1}23.976 line sets the frame rate; otherwise the given one is used
+ * @param {string} content - Raw MicroDVD file content
+ * @param {number} [frameRate=DEFAULT_FRAME_RATE] - Frame rate when the file doesn't state one
+ * @returns {ParsedSubtitle} Parsed subtitle object
+ */
+export function parseMicroDVD(content, frameRate = DEFAULT_FRAME_RATE) {
+    const entries = [];
+    const lines = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    let header = '';
+    let fileFrameRate = null;
+
+    for (const line of lines) {
+        const match = line.trim().match(MICRODVD_LINE_PATTERN);
+        if (!match) continue;
+
+        const [, start, end, text] = match;
+        if (entries.length === 0 && !header && Number(start) <= 1 && /^\d+(?:\.\d+)?$/.test(text.trim())) {
+            header = line.trim();
+            fileFrameRate = Number(text.trim());
+            continue;
+        }
+
+        const startFrame = Number(start);
+        entries.push({
+            index: entries.length + 1,
+            startTime: '',
+            endTime: '',
+            // | separates lines
+            text: text.split('|').join('\n'),
+            microdvd: { startFrame, endFrame: end ? Number(end) : startFrame }
+        });
+    }
+
+    const subtitle = {
+        format: 'microdvd',
+        header,
+        entries
+    };
+    setFrameRate(subtitle, fileFrameRate || frameRate);
+
+    return subtitle;
+}
+
+/**
+ * Convert a TTML time expression to milliseconds
+ * Handles clock times (00:00:01.500, 00:00:01:12) and offsets (1.5s, 1500ms, 36f, 900t)
+ * @param {string|null} value - Time expression
+ * @param {number} frameRate - ttp:frameRate
+ * @param {number} tickRate - ttp:tickRate
+ * @returns {number} Milliseconds, or NaN if missing or invalid
+ */
+function parseTTMLTime(value, frameRate, tickRate) {
+    const text = (value || '').trim();
+
+    const clock = text.match(/^(\d+):(\d{2}):(\d{2})(?:\.(\d+)|:(\d+(?:\.\d+)?))?$/);
+    if (clock) {
+        const [, hours, minutes, seconds, fraction, frames] = clock;
+        const ms = fraction ? Number(`0.${fraction}`) * 1000 : frames ? Number(frames) / frameRate * 1000 : 0;
+        return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + ms;
+    }
+
+    const offset = text.match(/^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/);
+    if (!offset) return NaN;
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1, f: 1000 / frameRate, t: 1000 / tickRate };
+    return Number(offset[1]) * units[offset[2]];
+}
+
+/**
+ * Collect the text of a TTML element; <br/> becomes a line break
+ * @param {Node} node - Element
+ * @returns {string} Text
+ */
+function getTTMLText(node) {
+    let text = '';
+    node.childNodes.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+            text += child.nodeValue.replace(/\s+/g, ' ');
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+            text += child.localName === 'br' ? '\n' : getTTMLText(child);
+        }
+    });
+    return text;
+}
+
+/**
+ * Parse a TTML or DFXP file
+ * Styling and layout in <head> are kept; inline <span> styling is flattened to text
+ * @param {string} content - Raw TTML file content
+ * @returns {ParsedSubtitle} Parsed subtitle object
+ */
+export function parseTTML(content) {
+    const doc = new DOMParser().parseFromString(content, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid TTML: the XML could not be parsed');
+    }
+
+    const root = doc.documentElement;
+    const frameRate = Number(root.getAttribute('ttp:frameRate')) || 30;
+    const tickRate = Number(root.getAttribute('ttp:tickRate')) || 1;
+    const head = root.getElementsByTagNameNS('*', 'head')[0];
+    const entries = [];
+
+    for (const paragraph of root.getElementsByTagNameNS('*', 'p')) {
+        const begin = parseTTMLTime(paragraph.getAttribute('begin'), frameRate, tickRate);
+        let end = parseTTMLTime(paragraph.getAttribute('end'), frameRate, tickRate);
+        if (isNaN(end)) {
+            end = begin + parseTTMLTime(paragraph.getAttribute('dur'), frameRate, tickRate);
+        }
+        if (isNaN(begin) || isNaN(end)) continue;
+
+        const attributes = Object.fromEntries([...paragraph.attributes]
+            .filter(attribute => !['begin', 'end', 'dur'].includes(attribute.name) && !attribute.name.startsWith('xmlns'))
+            .map(attribute => [attribute.name, attribute.value]));
+
+        entries.push({
+            index: entries.length + 1,
+            startTime: msToTimestamp(begin, 'ttml'),
+            endTime: msToTimestamp(end, 'ttml'),
+            text: getTTMLText(paragraph).split('\n').map(line => line.trim()).join('\n').trim(),
+            ttml: { attributes }
+        });
+    }
+
+    return {
+        format: 'ttml',
+        header: head ? new XMLSerializer().serializeToString(head) : '',
+        entries,
+        language: root.getAttribute('xml:lang') || ''
+    };
+}
+
+/**
+ * Milliseconds given to each line of an imported transcript
+ */
+const TRANSCRIPT_LINE_DURATION = 3000;
+
+/**
+ * Parse a plain transcript: one subtitle per non-empty line
+ * Lines get consecutive placeholder timings so they can be saved in timed formats
+ * @param {string} content - Raw text
  * @returns {ParsedSubtitle} Parsed subtitle object
  */
-export function parseSubtitle(content) {
-    const format = detectFormat(content);
-    return format === 'vtt' ? parseVTT(content) : parseSRT(content);
+export function parseTranscript(content) {
+    const lines = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    return {
+        format: 'txt',
+        header: '',
+        entries: lines.map((text, i) => ({
+            index: i + 1,
+            startTime: msToTimestamp(i * TRANSCRIPT_LINE_DURATION, 'srt'),
+            endTime: msToTimestamp((i + 1) * TRANSCRIPT_LINE_DURATION, 'srt'),
+            text
+        }))
+    };
+}
+
+/**
+ * Markup kept away from the model, per format
+ * ASS: {\override} blocks plus the \h (hard space) and \n (soft break) escapes
+ * VTT: inline tags such as <v Speaker>, <c.class>, <i> and <00:01.000>
+ * MicroDVD: {y:i} style control codes
+ */
+const MARKUP_PATTERNS = {
+    ass: /\{[^}]*\}|\\[hn]/g,
+    vtt: /<[^>\n]+>/g,
+    microdvd: /\{[^}]*\}/g
+};
+
+/**
+ * Text with its markup replaced by numbered placeholders ({1}, {2}...)
+ * @typedef {Object} ProtectedText
+ * @property {string} text - Text with placeholders
+ * @property {string[]} tags - Original markup, placeholder {n} is tags[n - 1]
+ */
+
+/**
+ * Replace formatting markup with placeholders so only dialogue is translated
+ * @param {string} text - Subtitle text
+ * @param {string} format - Subtitle format
+ * @returns {ProtectedText} Protected text and the markup it replaced
+ */
+export function protectMarkup(text, format) {
+    const pattern = MARKUP_PATTERNS[format];
+    const tags = [];
+    if (!pattern) {
+        return { text, tags };
+    }
+
+    const protectedText = text.replace(pattern, tag => {
+        tags.push(tag);
+        return `{${tags.length}}`;
+    });
+
+    return { text: protectedText, tags };
+}
+
+/**
+ * Put the markup back in place of its placeholders
+ * Leading markup the model dropped (positioning, styles) is restored at the start;
+ * other dropped tags are left out
+ * @param {string} text - Translated text with placeholders
+ * @param {ProtectedText} protectedText - Result of protectMarkup for the original
+ * @returns {string} Text with markup restored
+ */
+export function restoreMarkup(text, protectedText) {
+    const { tags } = protectedText;
+    if (tags.length === 0) return text;
+
+    const restored = new Set();
+    let result = text.replace(/\{(\d+)\}/g, (placeholder, n) => {
+        const tag = tags[Number(n) - 1];
+        if (tag === undefined) return placeholder;
+        restored.add(Number(n));
+        return tag;
+    });
+
+    const leading = (protectedText.text.match(/^(?:\{\d+\})+/) || [''])[0];
+    const missing = [...leading.matchAll(/\{(\d+)\}/g)]
+        .map(match => Number(match[1]))
+        .filter(n => !restored.has(n));
+    if (missing.length > 0) {
+        result = missing.map(n => tags[n - 1]).join('') + result;
+    }
+
+    return result;
+}
+
+/**
+ * Remove formatting markup, e.g. for context lines
+ * @param {string} text - Subtitle text
+ * @param {string} format - Subtitle format
+ * @returns {string} Plain text
+ */
+export function stripMarkup(text, format) {
+    const pattern = MARKUP_PATTERNS[format];
+    return pattern ? text.replace(pattern, '') : text;
 }
 
 /**
@@ -172,8 +784,8 @@ export function generateSRT(entries) {
     return entries.map((entry, i) => {
         const index = entry.index || i + 1;
         // Ensure timestamps use comma separator for SRT
-        const startTime = entry.startTime.replace('.', ',');
-        const endTime = entry.endTime.replace('.', ',');
+        const startTime = convertTimestamp(entry.startTime, 'srt');
+        const endTime = convertTimestamp(entry.endTime, 'srt');
         
         return `${index}\n${startTime} --> ${endTime}\n${entry.text}`;
     }).join('\n\n');
@@ -181,33 +793,445 @@ export function generateSRT(entries) {
 
 /**
  * Generate a VTT file from entries
+ * Parsed cues keep their IDs, settings and surrounding blocks;
+ * other entries are numbered by index
  * @param {SubtitleEntry[]} entries - Array of subtitle entries
  * @param {string} [header='WEBVTT'] - VTT header
+ * @param {string} [footer=''] - Blocks after the last cue
  * @returns {string} Generated VTT content
  */
-export function generateVTT(entries, header = 'WEBVTT') {
+export function generateVTT(entries, header = 'WEBVTT', footer = '') {
     const cues = entries.map((entry, i) => {
-        const index = entry.index || i + 1;
+        const id = entry.vtt ? entry.vtt.id : entry.index || i + 1;
         // Ensure timestamps use period separator for VTT
-        const startTime = entry.startTime.replace(',', '.');
-        const endTime = entry.endTime.replace(',', '.');
+        const startTime = convertTimestamp(entry.startTime, 'vtt');
+        const endTime = convertTimestamp(entry.endTime, 'vtt');
+        const settings = entry.vtt?.settings ? ` ${entry.vtt.settings}` : '';
         
-        return `${index}\n${startTime} --> ${endTime}\n${entry.text}`;
+        const cue = `${id !== null ? `${id}\n` : ''}${startTime} --> ${endTime}${settings}\n${entry.text}`;
+        return [...(entry.vtt?.before || []), cue].join('\n\n');
     }).join('\n\n');
     
-    return `${header}\n\n${cues}`;
+    return `${header}\n\n${cues}${footer ? `\n\n${footer}` : ''}`;
+}
+
+/**
+ * Styles section used for ASS output when the source had none
+ */
+const DEFAULT_ASS_STYLES = `[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,2,2,10,10,10,1`;
+
+/**
+ * Header used for ASS output when the source had none
+ */
+const DEFAULT_ASS_HEADER = `[Script Info]
+ScriptType: v4.00+
+WrapStyle: 0
+ScaledBorderAndShadow: yes
+
+${DEFAULT_ASS_STYLES}
+
+[Events]
+Format: ${ASS_EVENT_FORMAT.join(', ')}`;
+
+/**
+ * Generate an ASS/SSA file
+ * Header, styles and per-line fields are written back as parsed
+ * @param {ParsedSubtitle} subtitle - Parsed subtitle object
+ * @returns {string} Generated ASS content
+ */
+export function generateASS(subtitle) {
+    const format = subtitle.eventFormat || ASS_EVENT_FORMAT;
+    const header = subtitle.header || DEFAULT_ASS_HEADER;
+
+    const events = subtitle.entries.map(entry => {
+        const fields = {
+            Layer: '0',
+            Style: 'Default',
+            MarginL: '0',
+            MarginR: '0',
+            MarginV: '0',
+            ...entry.ass?.fields,
+            Start: convertTimestamp(entry.startTime, 'ass'),
+            End: convertTimestamp(entry.endTime, 'ass'),
+            Text: entry.text.replace(/\n/g, '\\N')
+        };
+        const line = `Dialogue: ${format.map(name => fields[name] ?? '').join(',')}`;
+        return [...(entry.ass?.before || []), line].join('\n');
+    });
+
+    const footer = subtitle.footer ? `\n${subtitle.footer}` : '';
+    return `${header}\n${events.join('\n')}${footer}\n`;
+}
+
+/**
+ * Generate an SBV file from entries
+ * @param {SubtitleEntry[]} entries - Array of subtitle entries
+ * @returns {string} Generated SBV content
+ */
+export function generateSBV(entries) {
+    return entries.map(entry =>
+        `${convertTimestamp(entry.startTime, 'sbv')},${convertTimestamp(entry.endTime, 'sbv')}\n${entry.text}`
+    ).join('\n\n') + '\n';
+}
+
+/**
+ * Header used for SubViewer output when the source had none
+ */
+const DEFAULT_SUBVIEWER_HEADER = `[INFORMATION]
+[TITLE]
+[AUTHOR]
+[SOURCE]
+[PRG]
+[FILEPATH]
+[DELAY]0
+[CD TRACK]0
+[COMMENT]
+[END INFORMATION]
+[SUBTITLE]
+[COLF]&HFFFFFF,[STYLE]no,[SIZE]18,[FONT]Arial`;
+
+/**
+ * Generate a SubViewer 2.0 file
+ * @param {ParsedSubtitle} subtitle - Parsed subtitle object
+ * @returns {string} Generated SubViewer content
+ */
+export function generateSubViewer(subtitle) {
+    const cues = subtitle.entries.map(entry =>
+        `${convertTimestamp(entry.startTime, 'subviewer')},${convertTimestamp(entry.endTime, 'subviewer')}\n${entry.text.replace(/\n/g, '[br]')}`
+    ).join('\n\n');
+
+    return `${subtitle.header || DEFAULT_SUBVIEWER_HEADER}\n${cues}\n`;
+}
+
+/**
+ * Generate a MicroDVD file
+ * The frame rate line is kept for MicroDVD sources and added when converting
+ * @param {ParsedSubtitle} subtitle - Parsed subtitle object
+ * @param {number} [frameRate] - Output frame rate (defaults to the source's)
+ * @returns {string} Generated MicroDVD content
+ */
+export function generateMicroDVD(subtitle, frameRate) {
+    const rate = frameRate || subtitle.frameRate || DEFAULT_FRAME_RATE;
+    const toFrame = timestamp => Math.round(timestampToMs(timestamp) / 1000 * rate);
+
+    const lines = subtitle.entries.map(entry =>
+        `{${toFrame(entry.startTime)}}{${toFrame(entry.endTime)}}${entry.text.split('\n').join('|')}`
+    );
+
+    const header = subtitle.format === 'microdvd' && rate === subtitle.frameRate ? subtitle.header : `{1}{1}${rate}`;
+    return [header, ...lines].filter(Boolean).join('\n') + '\n';
+}
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Generate a TTML file
+ * A TTML source keeps its <head> (styling, layout) and paragraph attributes
+ * @param {ParsedSubtitle} subtitle - Parsed subtitle object
+ * @param {string} [lang] - Language tag for xml:lang
+ * @returns {string} Generated TTML content
+ */
+export function generateTTML(subtitle, lang) {
+    const language = lang || subtitle.language;
+    const paragraphs = subtitle.entries.map(entry => {
+        const attributes = {
+            begin: convertTimestamp(entry.startTime, 'ttml'),
+            end: convertTimestamp(entry.endTime, 'ttml'),
+            ...entry.ttml?.attributes
+        };
+        const attributeText = Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeXML(value)}"`).join('');
+        return `      <p${attributeText}>${entry.text.split('\n').map(escapeXML).join('<br/>')}</p>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" xmlns:ttm="http://www.w3.org/ns/ttml#metadata"${language ? ` xml:lang="${escapeXML(language)}"` : ''}>
+${subtitle.header ? `  ${subtitle.header}\n` : ''}  <body>
+    <div>
+${paragraphs.join('\n')}
+    </div>
+  </body>
+</tt>
+`;
+}
+
+/**
+ * Generate a plain transcript: one line per subtitle, no timings
+ * @param {SubtitleEntry[]} entries - Array of subtitle entries
+ * @returns {string} Transcript text
+ */
+export function generateTranscript(entries) {
+    return entries.map(entry => entry.text.replace(/\s*\n\s*/g, ' ')).join('\n') + '\n';
+}
+
+/**
+ * Options for parsing
+ * @typedef {Object} ParseOptions
+ * @property {string} [fileName] - File name, used when the content doesn't identify the format
+ * @property {number} [frameRate] - Frame rate for MicroDVD files that don't state one
+ */
+
+/**
+ * Dual-subtitle output: the original text on screen together with the translation
+ * @typedef {Object} BilingualOptions
+ * @property {'stacked' | 'vtt' | 'ass'} mode - Original above the translation in the same cue (any format),
+ *     as a second WebVTT cue at the top of the screen, or as an ASS line in a separate top style
+ * @property {ParsedSubtitle} original - Source subtitle; entries are matched to the translation by position
+ */
+
+/**
+ * Options for generating
+ * @typedef {Object} GenerateOptions
+ * @property {number} [frameRate] - MicroDVD output frame rate
+ * @property {string} [lang] - Language tag written to TTML
+ * @property {BilingualOptions} [bilingual] - Write the original text alongside the translation
+ */
+
+/**
+ * Subtitle format definition
+ * @typedef {Object} SubtitleFormat
+ * @property {string} name - Display name
+ * @property {string[]} extensions - File extensions; the first is used for output
+ * @property {(content: string) => boolean} detect - Recognise the format from trimmed content
+ * @property {(content: string, options: ParseOptions) => ParsedSubtitle} parse - Parser
+ * @property {(subtitle: ParsedSubtitle, options: GenerateOptions) => string} generate - Generator
+ */
+
+/**
+ * Supported formats, in detection order
+ * @type {Object<string, SubtitleFormat>}
+ */
+export const SUBTITLE_FORMATS = {
+    vtt: {
+        name: 'WebVTT',
+        extensions: ['.vtt'],
+        detect: content => content.startsWith('WEBVTT'),
+        parse: parseVTT,
+        generate: subtitle => generateVTT(subtitle.entries, subtitle.header || 'WEBVTT', subtitle.footer)
+    },
+    ass: {
+        name: 'Advanced SubStation (ASS/SSA)',
+        extensions: ['.ass', '.ssa'],
+        detect: content => /^\[Script Info\]/i.test(content),
+        parse: parseASS,
+        generate: generateASS
+    },
+    ttml: {
+        name: 'TTML / DFXP',
+        extensions: ['.ttml', '.dfxp', '.xml'],
+        detect: content => /^(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*)*<tt[\s>]/.test(content),
+        parse: parseTTML,
+        generate: (subtitle, options) => generateTTML(subtitle, options.lang)
+    },
+    microdvd: {
+        name: 'MicroDVD',
+        extensions: ['.sub'],
+        detect: content => MICRODVD_LINE_PATTERN.test(content.split('\n')[0].trim()),
+        parse: (content, options) => parseMicroDVD(content, options.frameRate),
+        generate: (subtitle, options) => generateMicroDVD(subtitle, options.frameRate)
+    },
+    subviewer: {
+        name: 'SubViewer',
+        extensions: ['.sub'],
+        detect: content => /^\[INFORMATION\]/i.test(content) || /^\d{2}:\d{2}:\d{2}\.\d{2},\d{2}:\d{2}:\d{2}\.\d{2}\s*$/m.test(content),
+        parse: parseSubViewer,
+        generate: generateSubViewer
+    },
+    sbv: {
+        name: 'YouTube SBV',
+        extensions: ['.sbv'],
+        detect: content => /^\d+:\d{2}:\d{2}\.\d{3},\d+:\d{2}:\d{2}\.\d{3}\s*$/m.test(content),
+        parse: parseSBV,
+        generate: subtitle => generateSBV(subtitle.entries)
+    },
+    srt: {
+        name: 'SubRip',
+        extensions: ['.srt'],
+        detect: content => /\d+:\d{1,2}:\d{1,2}(?:[,.:]\d{1,3})?\s*-{1,2}>/.test(content),
+        parse: parseSRT,
+        generate: subtitle => generateSRT(subtitle.entries)
+    },
+    txt: {
+        name: 'Plain transcript',
+        extensions: ['.txt'],
+        detect: () => false,
+        parse: parseTranscript,
+        generate: subtitle => generateTranscript(subtitle.entries)
+    }
+};
+
+/**
+ * Detect the format of a subtitle file
+ * The content decides; the extension is only used when the content is not recognised
+ * @param {string} content - Raw subtitle file content
+ * @param {string} [fileName=''] - File name
+ * @returns {string} Format id, a key of SUBTITLE_FORMATS
+ */
+export function detectFormat(content, fileName = '') {
+    const trimmed = content.trim();
+    const byContent = Object.keys(SUBTITLE_FORMATS).find(format => SUBTITLE_FORMATS[format].detect(trimmed));
+    if (byContent) return byContent;
+
+    const extension = fileName.includes('.') ? fileName.substring(fileName.lastIndexOf('.')).toLowerCase() : '';
+    const byExtension = Object.keys(SUBTITLE_FORMATS).find(format => SUBTITLE_FORMATS[format].extensions.includes(extension));
+    return byExtension || 'srt';
+}
+
+/**
+ * Parse a subtitle file (auto-detect format)
+ * @param {string} content - Raw subtitle file content
+ * @param {ParseOptions} [options={}] - Parse options
+ * @returns {ParsedSubtitle} Parsed subtitle object
+ */
+export function parseSubtitle(content, options = {}) {
+    // A byte order mark would end up in the header or the first cue
+    const text = content.replace(/^\uFEFF/, '');
+    const format = detectFormat(text, options.fileName);
+    return SUBTITLE_FORMATS[format].parse(text, options);
+}
+
+/**
+ * Name of the style the original text uses in bilingual ASS output
+ */
+const ORIGINAL_ASS_STYLE = 'Original';
+
+/**
+ * Add the top style for the original text to an ASS/SSA header
+ * It copies the first existing style, moved to the top centre and tinted yellow
+ * @param {string} header - ASS header, up to the [Events] Format line
+ * @returns {string} Header with the extra style
+ */
+function addOriginalAssStyle(header) {
+    const lines = header.split('\n');
+    let start = lines.findIndex(line => /^\[V4\+? Styles\]$/i.test(line.trim()));
+    if (start === -1) {
+        const events = lines.findIndex(line => /^\[Events\]$/i.test(line.trim()));
+        lines.splice(events === -1 ? lines.length : events, 0, ...DEFAULT_ASS_STYLES.split('\n'), '');
+        start = lines.findIndex(line => /^\[V4\+? Styles\]$/i.test(line.trim()));
+    }
+
+    let end = start + 1;
+    while (end < lines.length && !/^\[.+\]$/.test(lines[end].trim())) end++;
+    const section = lines.slice(start + 1, end);
+
+    const formatLine = section.find(line => /^Format:/i.test(line.trim()));
+    const names = (formatLine || DEFAULT_ASS_STYLES.split('\n')[1]).trim().substring(7).split(',').map(name => name.trim());
+    const baseLine = section.find(line => /^Style:/i.test(line.trim())) || DEFAULT_ASS_STYLES.split('\n')[2];
+    const values = splitAssFields(baseLine.trim().replace(/^Style:\s*/i, ''), names.length);
+    const style = Object.fromEntries(names.map((name, i) => [name, (values[i] ?? '').trim()]));
+
+    // SSA numbers alignments differently: 2 is bottom centre in both, top centre is 8 in ASS and 6 in SSA
+    const ssa = !lines[start].includes('+');
+    Object.assign(style, {
+        Name: ORIGINAL_ASS_STYLE,
+        Alignment: ssa ? '6' : '8',
+        PrimaryColour: '&H0080FFFF'
+    });
+
+    let insertAt = end;
+    while (insertAt > start + 1 && !lines[insertAt - 1].trim()) insertAt--;
+    lines.splice(insertAt, 0, `Style: ${names.map(name => style[name] ?? '').join(',')}`);
+    return lines.join('\n');
+}
+
+/**
+ * Generate a file showing the original text together with the translation
+ * @param {ParsedSubtitle} subtitle - Translated subtitle
+ * @param {GenerateOptions} options - Generate options with bilingual set
+ * @returns {string} Generated subtitle content
+ */
+function generateBilingual(subtitle, options) {
+    const { mode, original } = options.bilingual;
+
+    if (mode === 'vtt') {
+        const translated = convertSubtitle(subtitle, 'vtt');
+        const source = convertSubtitle(original, 'vtt');
+        const entries = translated.entries.flatMap((entry, i) => {
+            const originalEntry = source.entries[i];
+            if (!originalEntry) return [entry];
+            // The original goes first, after any blocks that preceded the cue, at the top of the screen
+            return [
+                { ...originalEntry, vtt: { id: null, settings: 'line:0', before: entry.vtt?.before || [] } },
+                { ...entry, vtt: { id: entry.vtt ? entry.vtt.id : entry.index, settings: entry.vtt?.settings || '', before: [] } }
+            ];
+        });
+        return generateVTT(entries, translated.header || 'WEBVTT', translated.footer);
+    }
+
+    if (mode === 'ass') {
+        const translated = convertSubtitle(subtitle, 'ass');
+        const source = convertSubtitle(original, 'ass');
+        const entries = translated.entries.flatMap((entry, i) => {
+            const originalEntry = source.entries[i];
+            if (!originalEntry) return [entry];
+            const fields = { ...entry.ass?.fields, Style: ORIGINAL_ASS_STYLE };
+            return [
+                { ...originalEntry, ass: { fields, before: entry.ass?.before || [] } },
+                { ...entry, ass: { fields: { ...entry.ass?.fields }, before: [] } }
+            ];
+        });
+        return generateASS({
+            ...translated,
+            header: addOriginalAssStyle(translated.header || DEFAULT_ASS_HEADER),
+            entries
+        });
+    }
+
+    const source = convertSubtitle(original, subtitle.format);
+    const entries = subtitle.entries.map((entry, i) => {
+        const originalEntry = source.entries[i];
+        return originalEntry ? { ...entry, text: `${originalEntry.text}\n${entry.text}` } : entry;
+    });
+    return generateSubtitle({ ...subtitle, entries }, { ...options, bilingual: undefined });
 }
 
 /**
  * Generate a subtitle file from parsed data
  * @param {ParsedSubtitle} subtitle - Parsed subtitle object with translated entries
+ * @param {GenerateOptions} [options={}] - Generate options
  * @returns {string} Generated subtitle content
  */
-export function generateSubtitle(subtitle) {
-    if (subtitle.format === 'vtt') {
-        return generateVTT(subtitle.entries, subtitle.header);
+export function generateSubtitle(subtitle, options = {}) {
+    if (options.bilingual) {
+        return generateBilingual(subtitle, options);
     }
-    return generateSRT(subtitle.entries);
+    const format = SUBTITLE_FORMATS[subtitle.format] || SUBTITLE_FORMATS.srt;
+    return format.generate(subtitle, options);
+}
+
+/**
+ * Convert a parsed subtitle to another format for export
+ * Format-specific details (headers, styles, cue settings) and inline markup are dropped
+ * @param {ParsedSubtitle} subtitle - Parsed subtitle object
+ * @param {string} format - Target format id
+ * @returns {ParsedSubtitle} Subtitle in the target format (the same object if unchanged)
+ */
+export function convertSubtitle(subtitle, format) {
+    if (subtitle.format === format) return subtitle;
+
+    return {
+        format,
+        header: '',
+        entries: subtitle.entries.map(entry => ({
+            index: entry.index,
+            startTime: entry.startTime,
+            endTime: entry.endTime,
+            text: stripMarkup(entry.text, subtitle.format)
+        })),
+        frameRate: subtitle.frameRate
+    };
 }
 
 /**
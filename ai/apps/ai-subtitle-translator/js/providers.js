@@ -0,0 +1,415 @@
+/**
+ * Translation Providers Module
+ * Adapters for the translation backends the app can talk to
+ */
+
+/**
+ * Provider connection settings
+ * @typedef {Object} ProviderConfig
+ * @property {string} name - Provider display name
+ * @property {string} apiKey - API key (may be empty for local servers)
+ * @property {string} model - Model name (chat providers only)
+ * @property {string} baseUrl - API base URL without trailing slash
+ */
+
+/**
+ * Provider definition
+ * @typedef {Object} Provider
+ * @property {string} id - Provider identifier
+ * @property {string} name - Display name used in the UI and event log
+ * @property {'chat' | 'mt'} type - 'chat' providers take a prompt, 'mt' providers take raw texts
+ * @property {boolean} requiresApiKey - Whether an API key must be entered before translating
+ * @property {string} defaultBaseUrl - Base URL used when none is configured
+ * @property {string} defaultModel - Model used when none is configured
+ * @property {boolean} supportsJsonSchema - Whether the API can enforce a JSON response schema
+ * @property {Function} [complete] - (config, prompt, options) => Promise<string>, chat providers only
+ * @property {Function} [translateTexts] - (config, texts, sourceCode, targetCode, options) => Promise<string[]>, mt providers only
+ * @property {Function} [countTokens] - (config, text, options) => Promise<number>, for providers that can count tokens exactly
+ */
+
+/**
+ * Gemini API configuration
+ */
+export const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Send a request and turn network failures into a readable error
+ * Local servers without CORS headers fail with an opaque TypeError
+ * @param {string} name - Provider display name
+ * @param {string} url - Request URL
+ * @param {RequestInit} options - Fetch options; an aborted signal cancels the request
+ * @returns {Promise<Response>} The response
+ */
+async function fetchProvider(name, url, options) {
+    try {
+        return await fetch(url, options);
+    } catch (error) {
+        if (options.signal?.aborted) {
+            throw new Error('Translation cancelled');
+        }
+        throw new Error(`Could not reach ${name} at ${url}. Check the URL and that the server allows cross-origin requests.`);
+    }
+}
+
+/**
+ * Throw a descriptive error for a failed HTTP response
+ * @param {string} name - Provider display name
+ * @param {Response} response - The failed response
+ */
+async function throwResponseError(name, response) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message || errorData.error || `HTTP ${response.status}`;
+
+    if (response.status === 400) {
+        throw new Error(`Invalid request: ${errorMessage}`);
+    } else if (response.status === 401 || response.status === 403) {
+        throw new Error(`Invalid API key. Please check your ${name} API key.`);
+    } else if (response.status === 429) {
+        throw new Error('Rate limit exceeded. Please wait a moment and try again.');
+    } else if (response.status >= 500) {
+        throw new Error(`${name} server error. Please try again later.`);
+    }
+
+    throw new Error(`API error: ${errorMessage}`);
+}
+
+/**
+ * Call the Gemini API
+ * @param {ProviderConfig} config - Connection settings
+ * @param {string} prompt - The prompt to send
+ * @param {Object} [options={}] - Request options
+ * @param {Object} [options.responseSchema] - Ask for JSON matching this schema
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} The response text
+ */
+async function callGemini(config, prompt, options = {}) {
+    const url = `${config.baseUrl}/${config.model}:generateContent?key=${config.apiKey}`;
+
+    const requestBody = {
+        contents: [{
+            parts: [{
+                text: prompt
+            }]
+        }],
+        generationConfig: {
+            temperature: 0.3, // Lower temperature for more consistent translations
+            topP: 0.8,
+            topK: 40,
+            maxOutputTokens: 8192,
+            ...(options.responseSchema && {
+                responseMimeType: 'application/json',
+                responseSchema: options.responseSchema
+            })
+        },
+        safetySettings: [
+            {
+                category: 'HARM_CATEGORY_HARASSMENT',
+                threshold: 'BLOCK_NONE'
+            },
+            {
+                category: 'HARM_CATEGORY_HATE_SPEECH',
+                threshold: 'BLOCK_NONE'
+            },
+            {
+                category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+                threshold: 'BLOCK_NONE'
+            },
+            {
+                category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
+                threshold: 'BLOCK_NONE'
+            }
+        ]
+    };
+
+    const response = await fetchProvider('Gemini', url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody),
+        signal: options.signal
+    });
+
+    if (!response.ok) {
+        await throwResponseError('Gemini', response);
+    }
+
+    const data = await response.json();
+
+    // Log raw response for debugging
+    console.log('Gemini API response:', JSON.stringify(data, null, 2));
+
+    // Check for blocked content
+    if (data.promptFeedback?.blockReason) {
+        throw new Error(`Content blocked: ${data.promptFeedback.blockReason}`);
+    }
+
+    // Extract text from response
+    const candidates = data.candidates;
+    if (!candidates || candidates.length === 0) {
+        // Check if there's feedback about why
+        const feedback = data.promptFeedback;
+        if (feedback) {
+            throw new Error(`No response from Gemini API. Feedback: ${JSON.stringify(feedback)}`);
+        }
+        throw new Error('No response from Gemini API - empty candidates');
+    }
+
+    // Check if candidate was blocked
+    const candidate = candidates[0];
+    if (candidate.finishReason === 'SAFETY') {
+        const safetyRatings = candidate.safetyRatings?.map(r => `${r.category}: ${r.probability}`).join(', ');
+        throw new Error(`Response blocked by safety filter: ${safetyRatings || 'unknown reason'}`);
+    }
+
+    if (candidate.finishReason === 'RECITATION') {
+        throw new Error('Response blocked due to recitation/copyright concerns');
+    }
+
+    const content = candidate.content;
+    if (!content || !content.parts || content.parts.length === 0) {
+        // Return more details about what we got
+        throw new Error(`Empty response from Gemini API. Finish reason: ${candidate.finishReason || 'unknown'}`);
+    }
+
+    return content.parts[0].text;
+}
+
+/**
+ * Convert a Gemini response schema to standard JSON Schema (lowercase types)
+ * @param {Object} schema - Schema in Gemini's OpenAPI subset
+ * @returns {Object} JSON Schema
+ */
+function toJSONSchema(schema) {
+    const converted = { ...schema, type: schema.type.toLowerCase() };
+    if (schema.items) {
+        converted.items = toJSONSchema(schema.items);
+    }
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([name, property]) => [name, toJSONSchema(property)])
+        );
+    }
+    return converted;
+}
+
+/**
+ * Count the tokens of a text with the Gemini countTokens endpoint
+ * @param {ProviderConfig} config - Connection settings
+ * @param {string} text - Text to count
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<number>} Token count
+ */
+async function countGeminiTokens(config, text, options = {}) {
+    const url = `${config.baseUrl}/${config.model}:countTokens?key=${config.apiKey}`;
+
+    const response = await fetchProvider('Gemini', url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ contents: [{ parts: [{ text }] }] }),
+        signal: options.signal
+    });
+
+    if (!response.ok) {
+        await throwResponseError('Gemini', response);
+    }
+
+    const data = await response.json();
+    if (typeof data.totalTokens !== 'number') {
+        throw new Error('Gemini countTokens returned no token count');
+    }
+    return data.totalTokens;
+}
+
+/**
+ * Call an OpenAI-compatible chat completions endpoint
+ * Works with OpenAI, llama.cpp server, LM Studio, vLLM and Ollama's /v1 API
+ * @param {ProviderConfig} config - Connection settings
+ * @param {string} prompt - The prompt to send
+ * @param {Object} [options={}] - Request options
+ * @param {Object} [options.responseSchema] - Ask for JSON matching this schema
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} The response text
+ */
+async function callOpenAICompatible(config, prompt, options = {}) {
+    const url = `${config.baseUrl}/chat/completions`;
+
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+    if (config.apiKey) {
+        headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    const requestBody = {
+        model: config.model,
+        messages: [{
+            role: 'user',
+            content: prompt
+        }],
+        temperature: 0.3,
+        top_p: 0.8,
+        max_tokens: 8192,
+        // Structured output must be an object at the top level, so the array is wrapped
+        ...(options.responseSchema && {
+            response_format: {
+                type: 'json_schema',
+                json_schema: {
+                    name: 'subtitles',
+                    schema: {
+                        type: 'object',
+                        properties: { subtitles: toJSONSchema(options.responseSchema) },
+                        required: ['subtitles']
+                    }
+                }
+            }
+        })
+    };
+
+    const response = await fetchProvider(config.name, url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(requestBody),
+        signal: options.signal
+    });
+
+    if (!response.ok) {
+        await throwResponseError(config.name, response);
+    }
+
+    const data = await response.json();
+
+    const choice = data.choices?.[0];
+    if (!choice) {
+        throw new Error(`No response from ${config.name} - empty choices`);
+    }
+
+    if (choice.finish_reason === 'content_filter') {
+        throw new Error('Response blocked by content filter');
+    }
+
+    const text = choice.message?.content;
+    if (!text) {
+        throw new Error(`Empty response from ${config.name}. Finish reason: ${choice.finish_reason || 'unknown'}`);
+    }
+
+    return text;
+}
+
+/**
+ * Translate raw texts with a LibreTranslate instance
+ * @param {ProviderConfig} config - Connection settings
+ * @param {string[]} texts - Texts to translate
+ * @param {string} sourceCode - ISO source language code or 'auto'
+ * @param {string} targetCode - ISO target language code
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string[]>} Translated texts in the same order
+ */
+async function callLibreTranslate(config, texts, sourceCode, targetCode, options = {}) {
+    const url = `${config.baseUrl}/translate`;
+
+    const requestBody = {
+        q: texts,
+        source: sourceCode,
+        target: targetCode,
+        format: 'text'
+    };
+    if (config.apiKey) {
+        requestBody.api_key = config.apiKey;
+    }
+
+    const response = await fetchProvider('LibreTranslate', url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody),
+        signal: options.signal
+    });
+
+    if (!response.ok) {
+        await throwResponseError('LibreTranslate', response);
+    }
+
+    const data = await response.json();
+
+    const translated = data.translatedText;
+    if (!Array.isArray(translated) || translated.length === 0) {
+        throw new Error('Empty response from LibreTranslate');
+    }
+
+    return translated;
+}
+
+/**
+ * Available providers
+ * @type {Object<string, Provider>}
+ */
+export const PROVIDERS = {
+    gemini: {
+        id: 'gemini',
+        name: 'Gemini',
+        type: 'chat',
+        requiresApiKey: true,
+        defaultBaseUrl: GEMINI_API_BASE,
+        defaultModel: 'gemini-2.0-flash',
+        supportsJsonSchema: true,
+        complete: callGemini,
+        countTokens: countGeminiTokens
+    },
+    openai: {
+        id: 'openai',
+        name: 'OpenAI-compatible API',
+        type: 'chat',
+        requiresApiKey: false,
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4o-mini',
+        supportsJsonSchema: true,
+        complete: callOpenAICompatible
+    },
+    ollama: {
+        id: 'ollama',
+        name: 'Ollama',
+        type: 'chat',
+        requiresApiKey: false,
+        defaultBaseUrl: 'http://localhost:11434/v1',
+        defaultModel: 'llama3.1',
+        supportsJsonSchema: true,
+        complete: callOpenAICompatible
+    },
+    libretranslate: {
+        id: 'libretranslate',
+        name: 'LibreTranslate',
+        type: 'mt',
+        requiresApiKey: false,
+        defaultBaseUrl: 'http://localhost:5000',
+        defaultModel: '',
+        supportsJsonSchema: false,
+        translateTexts: callLibreTranslate
+    }
+};
+
+/**
+ * Get a provider definition by id
+ * @param {string} providerId - Provider identifier
+ * @returns {Provider} The provider (Gemini if unknown)
+ */
+export function getProviderDefinition(providerId) {
+    return PROVIDERS[providerId] || PROVIDERS.gemini;
+}
+
+/**
+ * Identify the provider and model a translation is made with
+ * Machine translation providers have no model, so the provider stands for it
+ * @param {string} providerId - Provider identifier
+ * @param {string} [model] - Model name; the provider's default if empty
+ * @returns {string} Identifier such as 'gemini/gemini-2.0-flash' or 'libretranslate'
+ */
+export function getModelId(providerId, model) {
+    const provider = getProviderDefinition(providerId);
+    return provider.type === 'mt' ? provider.id : `${provider.id}/${model || provider.defaultModel}`;
+}
@@ -0,0 +1,167 @@
+/**
+ * QC Module
+ * Reading-speed, line-length and duration checks on translated subtitles
+ */
+
+import { timestampToMs, stripMarkup } from './parser.js';
+
+/**
+ * @typedef {import('./parser.js').SubtitleEntry} SubtitleEntry
+ */
+
+/**
+ * QC limits
+ * @typedef {Object} QcThresholds
+ * @property {number} maxCps - Maximum characters per second
+ * @property {number} maxCpl - Maximum characters per line
+ * @property {number} maxLines - Maximum lines per subtitle
+ * @property {number} minDuration - Minimum duration in milliseconds
+ * @property {number} maxDuration - Maximum duration in milliseconds
+ */
+
+/**
+ * Problem found in one subtitle
+ * @typedef {Object} QcIssue
+ * @property {'cps' | 'cpl' | 'lines' | 'minDuration' | 'maxDuration'} type - Check that failed
+ * @property {string} message - Human readable description
+ */
+
+/**
+ * Subtitle that failed one or more checks
+ * @typedef {Object} QcResult
+ * @property {number} position - Position in the entries array
+ * @property {number} index - Subtitle number
+ * @property {QcIssue[]} issues - Failed checks
+ */
+
+/**
+ * Limits for a shorter re-translation
+ * @typedef {Object} LengthLimits
+ * @property {number} maxCpl - Maximum characters per line
+ * @property {number} maxLines - Maximum lines per subtitle
+ * @property {Object<number, number>} budgets - Maximum characters per subtitle, by subtitle index
+ */
+
+/**
+ * Threshold presets, following the Netflix and BBC timed text style guides
+ * @type {Object<string, QcThresholds & {name: string}>}
+ */
+export const QC_PRESETS = {
+    netflix: { name: 'Netflix (adult)', maxCps: 20, maxCpl: 42, maxLines: 2, minDuration: 833, maxDuration: 7000 },
+    netflixKids: { name: 'Netflix (children)', maxCps: 17, maxCpl: 42, maxLines: 2, minDuration: 833, maxDuration: 7000 },
+    netflixCjk: { name: 'Netflix (Chinese, Japanese, Korean)', maxCps: 9, maxCpl: 16, maxLines: 2, minDuration: 833, maxDuration: 7000 },
+    bbc: { name: 'BBC', maxCps: 17, maxCpl: 37, maxLines: 2, minDuration: 1000, maxDuration: 7000 },
+    relaxed: { name: 'Relaxed', maxCps: 25, maxCpl: 50, maxLines: 3, minDuration: 500, maxDuration: 10000 }
+};
+
+/**
+ * Preset used until the user picks one
+ */
+export const DEFAULT_QC_PRESET = 'netflix';
+
+/**
+ * Checks that a shorter translation can fix
+ */
+const LENGTH_CHECKS = ['cps', 'cpl', 'lines'];
+
+/**
+ * Get the lines of a subtitle as shown on screen, without markup
+ * @param {string} text - Subtitle text
+ * @param {string} [format] - Subtitle format
+ * @returns {string[]} Visible lines
+ */
+function getVisibleLines(text, format) {
+    return stripMarkup(text, format)
+        .replace(/<[^>\n]+>/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Count characters as a viewer reads them (code points, so emoji and CJK count once)
+ * @param {string} text - Text
+ * @returns {number} Character count
+ */
+function countChars(text) {
+    return [...text].length;
+}
+
+/**
+ * Check one subtitle
+ * Reading speed counts every visible character, spaces included, over the cue's duration
+ * @param {SubtitleEntry} entry - Translated entry
+ * @param {QcThresholds} thresholds - Limits
+ * @param {string} [format] - Subtitle format, for stripping its markup
+ * @returns {QcIssue[]} Failed checks
+ */
+export function checkEntry(entry, thresholds, format) {
+    const issues = [];
+    const lines = getVisibleLines(entry.text, format);
+    const chars = lines.reduce((sum, line) => sum + countChars(line), 0);
+    const duration = timestampToMs(entry.endTime) - timestampToMs(entry.startTime);
+
+    if (duration > 0 && chars > 0) {
+        const cps = chars / (duration / 1000);
+        if (cps > thresholds.maxCps) {
+            issues.push({ type: 'cps', message: `${cps.toFixed(1)} characters/second (max ${thresholds.maxCps})` });
+        }
+    }
+
+    const longest = Math.max(0, ...lines.map(countChars));
+    if (longest > thresholds.maxCpl) {
+        issues.push({ type: 'cpl', message: `${longest} characters in a line (max ${thresholds.maxCpl})` });
+    }
+
+    if (lines.length > thresholds.maxLines) {
+        issues.push({ type: 'lines', message: `${lines.length} lines (max ${thresholds.maxLines})` });
+    }
+
+    if (duration >= 0 && duration < thresholds.minDuration) {
+        issues.push({ type: 'minDuration', message: `Shown for ${duration} ms (min ${thresholds.minDuration} ms)` });
+    } else if (duration > thresholds.maxDuration) {
+        issues.push({ type: 'maxDuration', message: `Shown for ${duration} ms (max ${thresholds.maxDuration} ms)` });
+    }
+
+    return issues;
+}
+
+/**
+ * Check every translated subtitle
+ * @param {SubtitleEntry[]} entries - Translated entries
+ * @param {QcThresholds} thresholds - Limits
+ * @param {string} [format] - Subtitle format
+ * @returns {QcResult[]} Subtitles with problems, in order
+ */
+export function runQC(entries, thresholds, format) {
+    return entries
+        .map((entry, position) => ({ position, index: entry.index, issues: checkEntry(entry, thresholds, format) }))
+        .filter(result => result.issues.length > 0);
+}
+
+/**
+ * Whether a shorter translation could fix a subtitle's problems
+ * @param {QcResult} result - QC result
+ * @returns {boolean} True for reading-speed, line-length and line-count problems
+ */
+export function needsShortening(result) {
+    return result.issues.some(issue => LENGTH_CHECKS.includes(issue.type));
+}
+
+/**
+ * Work out how long the re-translations of some subtitles may be
+ * The budget is what can be read in the cue's duration, capped by what fits on screen
+ * @param {SubtitleEntry[]} entries - Entries to shorten
+ * @param {QcThresholds} thresholds - Limits
+ * @returns {LengthLimits} Limits for the prompt
+ */
+export function getLengthLimits(entries, thresholds) {
+    const budgets = {};
+    entries.forEach(entry => {
+        const duration = timestampToMs(entry.endTime) - timestampToMs(entry.startTime);
+        const readable = Math.floor(thresholds.maxCps * Math.max(0, duration) / 1000);
+        budgets[entry.index] = Math.max(1, Math.min(readable, thresholds.maxCpl * thresholds.maxLines));
+    });
+
+    return { maxCpl: thresholds.maxCpl, maxLines: thresholds.maxLines, budgets };
+}
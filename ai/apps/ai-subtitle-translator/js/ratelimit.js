@@ -0,0 +1,113 @@
+/**
+ * Rate Limit Module
+ * Token-bucket limiter keeping a translation run within a provider's
+ * requests-per-minute and tokens-per-minute limits
+ */
+
+/**
+ * Request budget of a translation run
+ * @typedef {Object} RateLimits
+ * @property {number} [concurrency=1] - Batches translated at the same time
+ * @property {number} [requestsPerMinute=15] - Requests per minute, 0 for no limit
+ * @property {number} [tokensPerMinute=0] - Prompt and response tokens per minute, 0 for no limit
+ */
+
+/**
+ * Limiter shared by every request of a run
+ * @typedef {Object} RateLimiter
+ * @property {(tokens?: number) => Promise<void>} acquire - Wait until a request of this many tokens fits the budget
+ */
+
+/**
+ * Budget used when none is configured
+ * Gemini free tier: ~15 requests per minute, one request in flight
+ */
+export const DEFAULT_RATE_LIMITS = {
+    concurrency: 1,
+    requestsPerMinute: 15,
+    tokensPerMinute: 0
+};
+
+const MINUTE = 60000;
+
+/**
+ * Create a bucket that starts full and refills continuously, one minute from empty to full
+ * @param {'requests' | 'tokens'} unit - What the bucket counts
+ * @param {number} perMinute - Capacity and refill per minute
+ * @returns {Object} Bucket
+ */
+function createBucket(unit, perMinute) {
+    return {
+        unit,
+        capacity: perMinute,
+        available: perMinute,
+        rate: perMinute / MINUTE,
+        updated: Date.now()
+    };
+}
+
+/**
+ * Create a limiter for one translation run
+ * Requests are let through in the order they asked; a request bigger than a
+ * whole minute's token budget waits for a full bucket instead of forever
+ * @param {RateLimits} [limits={}] - Request budget; missing values use the defaults
+ * @param {AbortSignal} [signal] - Rejects waiting requests when aborted
+ * @returns {RateLimiter} Limiter
+ */
+export function createRateLimiter(limits = {}, signal) {
+    const { requestsPerMinute, tokensPerMinute } = { ...DEFAULT_RATE_LIMITS, ...limits };
+    const buckets = [];
+    if (requestsPerMinute > 0) buckets.push(createBucket('requests', requestsPerMinute));
+    if (tokensPerMinute > 0) buckets.push(createBucket('tokens', tokensPerMinute));
+
+    const queue = [];
+    let timer = null;
+
+    function refill() {
+        const now = Date.now();
+        buckets.forEach(bucket => {
+            bucket.available = Math.min(bucket.capacity, bucket.available + (now - bucket.updated) * bucket.rate);
+            bucket.updated = now;
+        });
+    }
+
+    function drain() {
+        timer = null;
+        refill();
+
+        while (queue.length > 0) {
+            const request = queue[0];
+            const costs = buckets.map(bucket => Math.min(bucket.capacity, request[bucket.unit]));
+            const wait = Math.max(0, ...buckets.map((bucket, i) => (costs[i] - bucket.available) / bucket.rate));
+            if (wait > 0) {
+                timer = setTimeout(drain, Math.ceil(wait));
+                return;
+            }
+
+            buckets.forEach((bucket, i) => {
+                bucket.available -= costs[i];
+            });
+            queue.shift();
+            request.resolve();
+        }
+    }
+
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        timer = null;
+        queue.splice(0).forEach(request => request.reject(new Error('Translation cancelled')));
+    }, { once: true });
+
+    return {
+        acquire(tokens = 0) {
+            if (signal?.aborted) {
+                return Promise.reject(new Error('Translation cancelled'));
+            }
+
+            return new Promise((resolve, reject) => {
+                queue.push({ requests: 1, tokens, resolve, reject });
+                if (!timer) drain();
+            });
+        }
+    };
+}
@@ -0,0 +1,151 @@
+/**
+ * RTL Module
+ * Text direction, direction marks and Arabic/Persian character normalisation
+ * for right-to-left target languages
+ */
+
+/**
+ * Output options for right-to-left text
+ * @typedef {Object} RtlOptions
+ * @property {string} lang - Target language tag
+ * @property {'none' | 'rlm' | 'rle'} [marks='none'] - Direction marks added around each line
+ * @property {'auto' | 'persian' | 'arabic' | 'keep'} [characters='auto'] - Yeh/kaf forms; auto follows the language
+ * @property {'keep' | 'western' | 'eastern'} [digits='keep'] - Digit forms; eastern only applies to Arabic-script languages
+ */
+
+/**
+ * Languages written right to left
+ */
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'iw', 'ur', 'ps', 'yi', 'dv', 'ckb', 'sd', 'ug'];
+
+// Right-to-left mark, embedding and pop directional formatting
+const RLM = '\u200f';
+const RLE = '\u202b';
+const PDF = '\u202c';
+
+/**
+ * Direction marks already present, removed before new ones are added
+ */
+const DIRECTION_MARK_PATTERN = /[\u200e\u200f\u202a-\u202e]/g;
+
+/**
+ * Markup left untouched by normalisation: placeholders, ASS/MicroDVD codes and HTML-style tags
+ */
+const MARKUP_PATTERN = /(\{[^}]*\}|<[^>\n]+>)/;
+
+/**
+ * Character replacements per writing convention
+ * Persian (and Urdu) use ی and ک; Arabic uses ي and ك
+ */
+const CHARACTER_MAPS = {
+    persian: { '\u064a': '\u06cc', '\u0649': '\u06cc', '\u0643': '\u06a9' },
+    arabic: { '\u06cc': '\u064a', '\u06a9': '\u0643' }
+};
+
+/**
+ * Languages written in Arabic script, the only ones with eastern digits
+ */
+const ARABIC_SCRIPT_LANGUAGES = ['ar', 'fa', 'ur', 'ps', 'sd', 'ckb', 'ug'];
+
+/**
+ * Languages that use Extended Arabic-Indic digits (۰-۹) rather than Arabic-Indic (٠-٩)
+ */
+const PERSIAN_DIGIT_LANGUAGES = ['fa', 'ur', 'ps', 'sd'];
+
+/**
+ * @param {string} [lang] - Language tag
+ * @returns {string} Lower-case language subtag
+ */
+function getBaseLanguage(lang) {
+    return (lang || '').split('-')[0].toLowerCase();
+}
+
+/**
+ * Check whether a language is written right to left
+ * @param {string} [lang] - Language tag, e.g. 'fa' or 'az-Arab'
+ * @returns {boolean} True for right-to-left languages and scripts
+ */
+export function isRTL(lang) {
+    return RTL_LANGUAGES.includes(getBaseLanguage(lang)) || /-(?:arab|hebr|thaa|syrc)\b/i.test(lang || '');
+}
+
+/**
+ * Get the dir attribute value for text in a language
+ * @param {string} [lang] - Language tag; unknown languages let the browser decide
+ * @returns {'rtl' | 'ltr' | 'auto'} Direction
+ */
+export function getDirection(lang) {
+    if (!lang) return 'auto';
+    return isRTL(lang) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Get the character convention a language follows
+ * @param {string} lang - Language tag
+ * @returns {'persian' | 'arabic' | null} Convention, or null for languages left alone
+ */
+function getCharacterStyle(lang) {
+    const base = getBaseLanguage(lang);
+    if (['fa', 'ur'].includes(base)) return 'persian';
+    if (base === 'ar') return 'arabic';
+    return null;
+}
+
+/**
+ * Normalise characters and digits outside markup
+ * @param {string} text - Subtitle text
+ * @param {RtlOptions} options - Output options
+ * @returns {string} Normalised text
+ */
+export function normalizeRTLText(text, options) {
+    const style = options.characters === 'auto' || !options.characters
+        ? getCharacterStyle(options.lang)
+        : options.characters === 'keep' ? null : options.characters;
+    const map = style ? CHARACTER_MAPS[style] : null;
+    const arabicScript = ARABIC_SCRIPT_LANGUAGES.includes(getBaseLanguage(options.lang)) || /-arab\b/i.test(options.lang || '');
+    const digits = options.digits === 'eastern' && !arabicScript ? 'keep' : options.digits || 'keep';
+    const eastern = PERSIAN_DIGIT_LANGUAGES.includes(getBaseLanguage(options.lang)) ? 0x06f0 : 0x0660;
+
+    if (!map && digits === 'keep') return text;
+
+    return text.split(MARKUP_PATTERN).map((part, i) => {
+        // Odd parts are the captured markup
+        if (i % 2 === 1) return part;
+
+        let result = map ? part.replace(/[\u0643\u0649\u064a\u06a9\u06cc]/g, char => map[char] || char) : part;
+        if (digits === 'western') {
+            result = result.replace(/[\u0660-\u0669\u06f0-\u06f9]/g, char => String(char.charCodeAt(0) & 0xf));
+        } else if (digits === 'eastern') {
+            result = result.replace(/[0-9\u0660-\u0669\u06f0-\u06f9]/g, char =>
+                String.fromCharCode(eastern + (char.charCodeAt(0) & 0xf)));
+        }
+        return result;
+    }).join('');
+}
+
+/**
+ * Add direction marks around each line so players that ignore the
+ * bidirectional algorithm keep punctuation and Latin words in place
+ * @param {string} text - Subtitle text
+ * @param {'none' | 'rlm' | 'rle'} mode - Marks to add
+ * @returns {string} Text with marks
+ */
+export function addDirectionMarks(text, mode) {
+    if (!mode || mode === 'none') return text;
+
+    return text.split('\n').map(line => {
+        const clean = line.replace(DIRECTION_MARK_PATTERN, '');
+        if (!clean.trim()) return clean;
+        return mode === 'rle' ? `${RLE}${clean}${PDF}` : `${RLM}${clean}${RLM}`;
+    }).join('\n');
+}
+
+/**
+ * Prepare right-to-left text for export: normalisation, then direction marks
+ * @param {string} text - Subtitle text
+ * @param {RtlOptions} options - Output options
+ * @returns {string} Text to write
+ */
+export function prepareRTLText(text, options) {
+    return addDirectionMarks(normalizeRTLText(text, options), options.marks);
+}
@@ -0,0 +1,96 @@
+/**
+ * Timing Module
+ * Re-timing of subtitles: global shift, frame rate conversion and two-point resync
+ */
+
+import { timestampToMs, msToTimestamp } from './parser.js';
+
+/**
+ * @typedef {import('./parser.js').ParsedSubtitle} ParsedSubtitle
+ */
+
+/**
+ * Reference point for a resync: where a cue starts now and where it should start
+ * @typedef {Object} SyncPoint
+ * @property {number} from - Current start in milliseconds
+ * @property {number} to - Correct start in milliseconds
+ */
+
+/**
+ * Frame rates offered for conversion
+ */
+export const FRAME_RATES = [23.976, 24, 25, 29.97, 30];
+
+/**
+ * Re-time every entry of a subtitle (in place)
+ * Timestamps are written in the subtitle's own layout, and MicroDVD frames
+ * follow so a later frame rate change starts from the new timing
+ * @param {ParsedSubtitle} subtitle - Parsed subtitle
+ * @param {(ms: number) => number} map - New time for a time, in milliseconds
+ * @returns {number} Number of cues moved before 0:00 and clamped to it
+ */
+export function retime(subtitle, map) {
+    let clamped = 0;
+
+    subtitle.entries.forEach(entry => {
+        const start = map(timestampToMs(entry.startTime));
+        const end = map(timestampToMs(entry.endTime));
+        if (isNaN(start) || isNaN(end)) return;
+
+        if (start < 0) clamped++;
+        entry.startTime = msToTimestamp(start, subtitle.format);
+        entry.endTime = msToTimestamp(end, subtitle.format);
+
+        if (entry.microdvd) {
+            const frameRate = subtitle.frameRate;
+            entry.microdvd = {
+                startFrame: Math.round(Math.max(0, start) / 1000 * frameRate),
+                endFrame: Math.round(Math.max(0, end) / 1000 * frameRate)
+            };
+        }
+    });
+
+    return clamped;
+}
+
+/**
+ * Time mapping that moves everything by a fixed offset
+ * @param {number} offset - Milliseconds, negative to show subtitles earlier
+ * @returns {(ms: number) => number} Mapping for retime()
+ */
+export function createShift(offset) {
+    return ms => ms + offset;
+}
+
+/**
+ * Time mapping for a release at another frame rate (e.g. 23.976 film sped up to 25 PAL)
+ * @param {number} fromRate - Frame rate the subtitles were timed for
+ * @param {number} toRate - Frame rate of the target video
+ * @returns {(ms: number) => number} Mapping for retime()
+ */
+export function createFrameRateConversion(fromRate, toRate) {
+    if (!(fromRate > 0) || !(toRate > 0)) {
+        throw new Error('Frame rates must be positive numbers');
+    }
+    return ms => ms * fromRate / toRate;
+}
+
+/**
+ * Linear time mapping through two reference points
+ * Fixes an offset and a speed difference at once
+ * @param {SyncPoint} first - Reference point near the start
+ * @param {SyncPoint} second - Reference point near the end
+ * @returns {(ms: number) => number} Mapping for retime()
+ */
+export function createResync(first, second) {
+    if (first.from === second.from) {
+        throw new Error('The reference cues must start at different times');
+    }
+
+    const scale = (second.to - first.to) / (second.from - first.from);
+    if (!(scale > 0)) {
+        throw new Error('The reference cues must stay in the same order');
+    }
+
+    return ms => first.to + (ms - first.from) * scale;
+}
@@ -1,64 +1,130 @@
 /**
- * Gemini Translator Module
- * Handles communication with Google Gemini API for translations
+ * Translator Module
+ * Builds prompts and drives the batch pipeline against the selected provider
  */
 
-import { formatEntriesForAPI, formatContextForAPI, parseAPIResponse } from './batcher.js';
+import {
+    formatEntriesForAPI,
+    formatEntriesForAPIJson,
+    formatContextForAPI,
+    parseAPIResponse,
+    parseJSONResponse,
+    extractEchoedIndexes,
+    validateBatch,
+    estimateTokens,
+    calculateOutputTokens,
+    JSON_RESPONSE_SCHEMA
+} from './batcher.js';
+import { getProviderDefinition, getModelId } from './providers.js';
+import { findTermsInEntries, formatGlossaryForPrompt, checkGlossary } from './glossary.js';
+import { getLanguageName, getLanguageCode } from './languages.js';
+import { protectMarkup, restoreMarkup, stripMarkup } from './parser.js';
+import { wrapText } from './linebreak.js';
+import { createRateLimiter, DEFAULT_RATE_LIMITS } from './ratelimit.js';
+import { lookupMemory, addToMemory, createStyleKey } from './memory.js';
 
 /**
  * @typedef {import('./parser.js').SubtitleEntry} SubtitleEntry
  * @typedef {import('./batcher.js').Batch} Batch
+ * @typedef {import('./batcher.js').ValidationIssue} ValidationIssue
  */
 
 /**
- * Gemini API configuration
+ * Translation options shared by every batch of a run
+ * @typedef {Object} TranslationOptions
+ * @property {'json' | 'text'} [outputFormat='text'] - Ask for a JSON array or "---" separated text
+ * @property {import('./glossary.js').GlossaryTerm[]} [glossary=[]] - Required term translations
+ * @property {string|null} [sourceLang=null] - Source language tag, or null if unknown
+ * @property {'auto' | 'informal' | 'formal'} [formality='auto'] - How characters address each other
+ * @property {'general' | 'kids' | 'sdh'} [audience='general'] - Who the subtitles are for
+ * @property {'keep' | 'soften' | 'censor'} [profanity='keep'] - How to handle swearing
+ * @property {string} [subtitleFormat] - Source format; its markup (ASS override tags) is kept out of the prompt
+ * @property {import('./qc.js').LengthLimits} [lengthLimits] - Character budgets when re-requesting shorter translations
+ * @property {{maxChars?: number}|null} [lineWrap=null] - Re-wrap translations into balanced lines; null keeps the model's breaks
+ * @property {import('./ratelimit.js').RateLimits} [rateLimits] - Concurrency and request budget of translateAllBatches and retranslateBatch
+ * @property {import('./ratelimit.js').RateLimiter} [rateLimiter] - Limiter every request waits for; set by translateAllBatches and retranslateBatch
+ * @property {boolean} [translationMemory=false] - Reuse and store translations in the translation memory
+ * @property {AbortSignal} [signal] - Cancels requests in flight; set by translateBatchWithRetry
+ * @property {PauseControl} [pause] - Lets translateAllBatches stop between batches until resumed
  */
-const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Pause switch of a translation run, checked before each batch is started
+ * @typedef {Object} PauseControl
+ * @property {() => boolean} isPaused - Whether new batches should wait
+ * @property {() => Promise<void>} waitForResume - Resolves once the run is resumed or cancelled
+ */
+
 // Using gemini-2.0-flash as it's more stable. Change to 'gemini-1.5-flash' if issues persist.
 const GEMINI_MODEL = 'gemini-2.0-flash';
 
+// Validation: re-request a failing batch this many times before splitting it
+const VALIDATION_RETRIES = 1;
+// Validation: how many times a failing batch may be halved into sub-batches
+const MAX_SPLIT_DEPTH = 2;
+
 /**
- * Language names mapping for prompts
+ * Prompt lines for the style options; default values add nothing
  */
-const LANGUAGE_NAMES = {
-    persian: 'Persian (Farsi)',
-    arabic: 'Arabic',
-    spanish: 'Spanish',
-    french: 'French',
-    german: 'German',
-    italian: 'Italian',
-    portuguese: 'Portuguese',
-    russian: 'Russian',
-    chinese: 'Simplified Chinese',
-    japanese: 'Japanese',
-    korean: 'Korean',
-    turkish: 'Turkish',
-    hindi: 'Hindi'
+const STYLE_RULES = {
+    formality: {
+        informal: 'Use informal address (e.g. tu, du, tú) unless the scene clearly calls for formality',
+        formal: 'Use formal address (e.g. vous, Sie, usted) unless the scene clearly calls for familiarity'
+    },
+    audience: {
+        kids: 'The audience is children: use simple, age-appropriate vocabulary and short sentences',
+        sdh: 'These are SDH subtitles for deaf and hard-of-hearing viewers: translate sound descriptions and speaker labels too and keep them in their brackets'
+    },
+    profanity: {
+        soften: 'Replace profanity and slurs with milder expressions',
+        censor: 'Censor profanity by keeping the first letter and replacing the rest with asterisks (e.g. f***)'
+    }
 };
 
 /**
- * Get the full language name for prompts
- * @param {string} langCode - Language code
- * @returns {string} Full language name
+ * Collect the prompt lines for the selected style options
+ * @param {TranslationOptions} options - Translation options
+ * @returns {string[]} Style rules
  */
-function getLanguageName(langCode) {
-    return LANGUAGE_NAMES[langCode] || langCode;
+function getStyleRules(options) {
+    return Object.entries(STYLE_RULES)
+        .map(([option, rules]) => rules[options[option]])
+        .filter(Boolean);
 }
 
 /**
- * Create the translation prompt for Gemini
+ * Create the translation prompt for chat providers
  * @param {SubtitleEntry[]} entries - Entries to translate
  * @param {string} targetLang - Target language code
  * @param {SubtitleEntry[]} contextEntries - Previous entries for context
  * @param {SubtitleEntry[]} translatedContext - Previous translations
+ * @param {SubtitleEntry[]} followingEntries - Next entries, shown but not translated
+ * @param {TranslationOptions} [options={}] - Translation options
  * @returns {string} The prompt string
  */
-function createTranslationPrompt(entries, targetLang, contextEntries = [], translatedContext = []) {
+function createTranslationPrompt(entries, targetLang, contextEntries = [], translatedContext = [], followingEntries = [], options = {}) {
     const langName = getLanguageName(targetLang);
+    const sourceName = options.sourceLang ? `${getLanguageName(options.sourceLang)} ` : '';
+    const isJson = options.outputFormat === 'json';
 
-    let prompt = `You are a professional subtitle translator. Translate the following English subtitles to ${langName}.
+    let prompt = `You are a professional subtitle translator. Translate the following ${sourceName}subtitles to ${langName}.
+
+`;
 
-CRITICAL RULES:
+    if (isJson) {
+        prompt += `CRITICAL RULES:
+1. The input is a JSON array of objects with "index" and "text"
+2. Return ONLY a JSON array with exactly one {"index": number, "text": string} object per input object
+3. Copy each "index" value unchanged; never merge, split, skip or reorder entries
+4. Use natural, conversational ${langName} appropriate for subtitles
+5. Keep translations concise to fit on screen
+6. Preserve any speaker labels or sound descriptions in brackets
+7. Keep line breaks inside a subtitle as "\\n"
+8. Do NOT add any explanations, notes or markdown
+
+`;
+    } else {
+        prompt += `CRITICAL RULES:
 1. Translate ONLY the text, preserving the exact format
 2. Keep the [number] markers exactly as they appear
 3. Maintain the same number of subtitle entries
@@ -69,6 +135,44 @@ CRITICAL RULES:
 8. Separate each translated entry with "---" on its own line
 
 `;
+    }
+
+    // Add formality, audience and profanity instructions
+    const styleRules = getStyleRules(options);
+    if (styleRules.length > 0) {
+        prompt += `STYLE:
+${styleRules.map(rule => `- ${rule}`).join('\n')}
+
+`;
+    }
+
+    // Shorter re-translation of cues that failed QC
+    if (options.lengthLimits) {
+        const { maxCpl, maxLines, budgets } = options.lengthLimits;
+        prompt += `LENGTH LIMITS:
+The previous translation of these subtitles was too long to read in time. Translate more concisely: condense, paraphrase and drop filler words, but keep the meaning.
+- At most ${maxCpl} characters per line and ${maxLines} lines per subtitle
+- At most this many characters per subtitle: ${entries.map(entry => `[${entry.index}] ${budgets[entry.index]}`).join(', ')}
+
+`;
+    }
+
+    // Markup replaced by protectMarkup
+    if (entries.some(entry => /\{\d+\}/.test(entry.text))) {
+        prompt += `FORMATTING PLACEHOLDERS:
+Numbered placeholders such as {1} stand for formatting codes. Keep every placeholder exactly as written, next to the words it applies to.
+
+`;
+    }
+
+    // Add glossary terms that occur in this batch
+    const terms = findTermsInEntries(options.glossary || [], entries);
+    if (terms.length > 0) {
+        prompt += `GLOSSARY (always translate these terms exactly as given):
+${formatGlossaryForPrompt(terms)}
+
+`;
+    }
 
     // Add context if available
     if (contextEntries.length > 0) {
@@ -80,9 +184,19 @@ ${contextStr}
     }
 
     prompt += `SUBTITLES TO TRANSLATE:
-${formatEntriesForAPI(entries)}
+${isJson ? formatEntriesForAPIJson(entries) : formatEntriesForAPI(entries)}
 
-TRANSLATED SUBTITLES (in ${langName}):`;
+`;
+
+    // Add the lines that follow, so sentences running past the batch are translated whole
+    if (followingEntries.length > 0) {
+        prompt += `FOLLOWING LINES (context only, do not translate or include them):
+${followingEntries.map(entry => entry.text).join('\n')}
+
+`;
+    }
+
+    prompt += `TRANSLATED SUBTITLES (in ${langName}${isJson ? ', as a JSON array' : ''}):`;
 
     return prompt;
 }
@@ -107,149 +221,257 @@ export function getModel() {
     return currentModel;
 }
 
+// Current provider and its connection settings
+let currentProvider = 'gemini';
+let providerSettings = {};
+
 /**
- * Call the Gemini API
- * @param {string} apiKey - Gemini API key
- * @param {string} prompt - The prompt to send
- * @returns {Promise<string>} The response text
+ * Set the provider to use
+ * @param {string} providerId - Provider identifier
+ * @param {Object} [settings={}] - Provider settings ({ baseUrl })
  */
-async function callGeminiAPI(apiKey, prompt) {
-    const url = `${GEMINI_API_BASE}/${currentModel}:generateContent?key=${apiKey}`;
-
-    const requestBody = {
-        contents: [{
-            parts: [{
-                text: prompt
-            }]
-        }],
-        generationConfig: {
-            temperature: 0.3, // Lower temperature for more consistent translations
-            topP: 0.8,
-            topK: 40,
-            maxOutputTokens: 8192
-        },
-        safetySettings: [
-            {
-                category: 'HARM_CATEGORY_HARASSMENT',
-                threshold: 'BLOCK_NONE'
-            },
-            {
-                category: 'HARM_CATEGORY_HATE_SPEECH',
-                threshold: 'BLOCK_NONE'
-            },
-            {
-                category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-                threshold: 'BLOCK_NONE'
-            },
-            {
-                category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-                threshold: 'BLOCK_NONE'
-            }
-        ]
+export function setProvider(providerId, settings = {}) {
+    currentProvider = providerId;
+    providerSettings = settings;
+    console.log(`Provider set to: ${providerId}`);
+}
+
+/**
+ * Get the current provider
+ * @returns {string} Current provider identifier
+ */
+export function getProvider() {
+    return currentProvider;
+}
+
+/**
+ * Get the translation memory scope of a run
+ * Formality, audience, profanity and the glossary are keyed too; with all
+ * of them at their defaults the style is ''
+ * @param {string} targetLang - Target language code
+ * @param {TranslationOptions} options - Translation options
+ * @returns {import('./memory.js').MemoryScope} Languages, model and style
+ */
+function getMemoryScope(targetLang, options) {
+    const { formality = 'auto', audience = 'general', profanity = 'keep', glossary = [] } = options;
+    const terms = glossary.map(term => [term.source, term.target, term.note || '']).sort((a, b) => a.join('\n').localeCompare(b.join('\n')));
+    const isDefault = formality === 'auto' && audience === 'general' && profanity === 'keep' && terms.length === 0;
+    const style = isDefault ? '' : createStyleKey([formality, audience, profanity, terms]);
+    return { sourceLang: options.sourceLang || null, targetLang, model: getModelId(currentProvider, currentModel), style };
+}
+
+/**
+ * Build the connection settings for the current provider
+ * @param {string} apiKey - API key for the provider
+ * @returns {import('./providers.js').ProviderConfig} Provider config
+ */
+function getProviderConfig(apiKey) {
+    const provider = getProviderDefinition(currentProvider);
+    const baseUrl = providerSettings.baseUrl || provider.defaultBaseUrl;
+
+    return {
+        name: provider.name,
+        apiKey,
+        model: currentModel || provider.defaultModel,
+        baseUrl: baseUrl.replace(/\/+$/, '')
     };
+}
 
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-    });
+/**
+ * Result of a single batch request
+ * @typedef {Object} BatchResult
+ * @property {SubtitleEntry[]} entries - Translated entries
+ * @property {Array<number|null>} echoedIndexes - Indexes the response echoed back, in order
+ */
 
-    if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = errorData.error?.message || `HTTP ${response.status}`;
-
-        if (response.status === 400) {
-            throw new Error(`Invalid request: ${errorMessage}`);
-        } else if (response.status === 401 || response.status === 403) {
-            throw new Error('Invalid API key. Please check your Gemini API key.');
-        } else if (response.status === 429) {
-            throw new Error('Rate limit exceeded. Please wait a moment and try again.');
-        } else if (response.status >= 500) {
-            throw new Error('Gemini API server error. Please try again later.');
-        }
+/**
+ * Re-wrap translated entries into balanced lines when enabled
+ * @param {SubtitleEntry[]} entries - Translated entries
+ * @param {string} targetLang - Target language code
+ * @param {TranslationOptions} options - Translation options
+ * @returns {SubtitleEntry[]} Entries with re-wrapped text
+ */
+function wrapEntries(entries, targetLang, options) {
+    if (!options.lineWrap) return entries;
+    return entries.map(entry => ({
+        ...entry,
+        text: wrapText(entry.text, { ...options.lineWrap, lang: targetLang })
+    }));
+}
 
-        throw new Error(`API error: ${errorMessage}`);
+/**
+ * Translate one batch with its markup swapped for placeholders
+ * so only dialogue text reaches the provider; translations are then re-wrapped
+ * @param {string} apiKey - Provider API key
+ * @param {Batch} batch - Batch to translate
+ * @param {string} targetLang - Target language code
+ * @param {SubtitleEntry[]} translatedContext - Previous translations for context
+ * @param {TranslationOptions} [options={}] - Translation options
+ * @returns {Promise<BatchResult>} Translated entries and echoed indexes
+ */
+async function requestBatch(apiKey, batch, targetLang, translatedContext = [], options = {}) {
+    const format = options.subtitleFormat;
+    const markup = batch.entries.map(entry => protectMarkup(entry.text, format));
+    if (markup.every(item => item.tags.length === 0)) {
+        const result = await sendBatch(apiKey, batch, targetLang, translatedContext, options);
+        return { ...result, entries: wrapEntries(result.entries, targetLang, options) };
     }
 
-    const data = await response.json();
+    const strip = entry => ({ ...entry, text: stripMarkup(entry.text, format) });
+    const protectedBatch = {
+        ...batch,
+        entries: batch.entries.map((entry, i) => ({ ...entry, text: markup[i].text })),
+        contextEntries: (batch.contextEntries || []).map(strip),
+        followingEntries: (batch.followingEntries || []).map(strip)
+    };
 
-    // Log raw response for debugging
-    console.log('Gemini API response:', JSON.stringify(data, null, 2));
+    const result = await sendBatch(apiKey, protectedBatch, targetLang, translatedContext.map(strip), options);
 
-    // Check for blocked content
-    if (data.promptFeedback?.blockReason) {
-        throw new Error(`Content blocked: ${data.promptFeedback.blockReason}`);
-    }
+    const restored = result.entries.map((entry, i) => ({
+        ...entry,
+        text: restoreMarkup(entry.text, markup[i])
+    }));
+    return { ...result, entries: wrapEntries(restored, targetLang, options) };
+}
 
-    // Extract text from response
-    const candidates = data.candidates;
-    if (!candidates || candidates.length === 0) {
-        // Check if there's feedback about why
-        const feedback = data.promptFeedback;
-        if (feedback) {
-            throw new Error(`No response from Gemini API. Feedback: ${JSON.stringify(feedback)}`);
+/**
+ * Send one batch to the provider and parse the reply
+ * @param {string} apiKey - Provider API key
+ * @param {Batch} batch - Batch to translate
+ * @param {string} targetLang - Target language code
+ * @param {SubtitleEntry[]} translatedContext - Previous translations for context
+ * @param {TranslationOptions} [options={}] - Translation options
+ * @returns {Promise<BatchResult>} Translated entries and echoed indexes
+ */
+async function sendBatch(apiKey, batch, targetLang, translatedContext = [], options = {}) {
+    const provider = getProviderDefinition(currentProvider);
+    const config = getProviderConfig(apiKey);
+
+    // Machine translation providers take the texts directly, no prompt
+    if (provider.type === 'mt') {
+        if (options.rateLimiter) {
+            await options.rateLimiter.acquire(estimateTokens(batch.entries.map(entry => entry.text).join('\n')));
         }
-        throw new Error('No response from Gemini API - empty candidates');
+        const texts = await provider.translateTexts(
+            config,
+            batch.entries.map(entry => entry.text),
+            options.sourceLang ? getLanguageCode(options.sourceLang) : 'auto',
+            getLanguageCode(targetLang),
+            { signal: options.signal }
+        );
+
+        return {
+            entries: batch.entries.map((entry, i) => ({
+                ...entry,
+                text: texts[i] !== undefined ? texts[i] : entry.text
+            })),
+            echoedIndexes: texts.slice(0, batch.entries.length).map((_, i) => batch.entries[i].index)
+        };
     }
 
-    // Check if candidate was blocked
-    const candidate = candidates[0];
-    if (candidate.finishReason === 'SAFETY') {
-        const safetyRatings = candidate.safetyRatings?.map(r => `${r.category}: ${r.probability}`).join(', ');
-        throw new Error(`Response blocked by safety filter: ${safetyRatings || 'unknown reason'}`);
-    }
+    const prompt = createTranslationPrompt(
+        batch.entries,
+        targetLang,
+        batch.contextEntries,
+        translatedContext,
+        batch.followingEntries,
+        options
+    );
 
-    if (candidate.finishReason === 'RECITATION') {
-        throw new Error('Response blocked due to recitation/copyright concerns');
+    if (options.rateLimiter) {
+        await options.rateLimiter.acquire(estimateTokens(prompt) + calculateOutputTokens(batch.entries, targetLang));
     }
 
-    const content = candidate.content;
-    if (!content || !content.parts || content.parts.length === 0) {
-        // Return more details about what we got
-        throw new Error(`Empty response from Gemini API. Finish reason: ${candidate.finishReason || 'unknown'}`);
+    if (options.outputFormat === 'json') {
+        const response = await provider.complete(config, prompt, {
+            responseSchema: provider.supportsJsonSchema ? JSON_RESPONSE_SCHEMA : undefined,
+            signal: options.signal
+        });
+
+        // Match translations back to entries by index
+        return {
+            entries: parseJSONResponse(response, batch.entries),
+            echoedIndexes: extractEchoedIndexes(response, 'json')
+        };
     }
 
-    return content.parts[0].text;
+    const response = await provider.complete(config, prompt, { signal: options.signal });
+
+    // Parse the response back to entries
+    return {
+        entries: parseAPIResponse(response, batch.entries),
+        echoedIndexes: extractEchoedIndexes(response, 'text')
+    };
 }
 
 /**
  * Translate a batch of subtitles
- * @param {string} apiKey - Gemini API key
+ * @param {string} apiKey - Provider API key
  * @param {Batch} batch - Batch to translate
  * @param {string} targetLang - Target language code
  * @param {SubtitleEntry[]} translatedContext - Previous translations for context
+ * @param {TranslationOptions} [options={}] - Translation options
  * @returns {Promise<SubtitleEntry[]>} Translated entries
  */
-export async function translateBatch(apiKey, batch, targetLang, translatedContext = []) {
-    const prompt = createTranslationPrompt(
-        batch.entries,
-        targetLang,
-        batch.contextEntries,
-        translatedContext
-    );
+export async function translateBatch(apiKey, batch, targetLang, translatedContext = [], options = {}) {
+    const result = await requestBatch(apiKey, batch, targetLang, translatedContext, options);
+    return result.entries;
+}
 
-    const response = await callGeminiAPI(apiKey, prompt);
+/**
+ * Estimate the tokens of the prompt's instructions, sent with every batch
+ * @param {string} targetLang - Target language code
+ * @param {TranslationOptions} [options={}] - Translation options
+ * @returns {number} Estimated token count; 0 for machine translation providers
+ */
+export function estimatePromptTokens(targetLang, options = {}) {
+    if (getProviderDefinition(currentProvider).type === 'mt') return 0;
+    return estimateTokens(createTranslationPrompt([], targetLang, [], [], [], options));
+}
 
-    // Parse the response back to entries
-    const translatedEntries = parseAPIResponse(response, batch.entries);
+// Token calibration: characters of subtitle text sent to countTokens
+const CALIBRATION_SAMPLE_LENGTH = 8000;
+// Token calibration: the correction is kept within this range
+const CALIBRATION_LIMITS = [0.5, 3];
 
-    return translatedEntries;
+/**
+ * Compare the local token estimate with the provider's own count of a sample of the text
+ * @param {string} apiKey - Provider API key
+ * @param {SubtitleEntry[]} entries - Source entries
+ * @param {AbortSignal} [signal] - Cancels the count
+ * @returns {Promise<number|null>} Factor to multiply estimates by, or null if the provider cannot count tokens
+ */
+export async function calibrateTokenEstimate(apiKey, entries, signal) {
+    const provider = getProviderDefinition(currentProvider);
+    if (!provider.countTokens || entries.length === 0) return null;
+
+    let sample = '';
+    for (const entry of entries) {
+        if (sample.length >= CALIBRATION_SAMPLE_LENGTH) break;
+        sample += `${entry.text}\n`;
+    }
+
+    const estimate = estimateTokens(sample);
+    if (estimate === 0) return null;
+
+    const counted = await provider.countTokens(getProviderConfig(apiKey), sample, { signal });
+    const [min, max] = CALIBRATION_LIMITS;
+    return Math.min(max, Math.max(min, counted / estimate));
 }
 
 /**
  * Translate a batch with exponential backoff retry
- * @param {string} apiKey - Gemini API key
+ * @param {string} apiKey - Provider API key
  * @param {Batch} batch - Batch to translate
  * @param {string} targetLang - Target language code
  * @param {SubtitleEntry[]} translatedContext - Previous translations for context
  * @param {number} maxRetries - Maximum number of retries
  * @param {AbortSignal} [signal] - Optional abort signal
  * @param {Function} [onWaiting] - Callback when waiting for retry
- * @returns {Promise<SubtitleEntry[]>} Translated entries
+ * @param {TranslationOptions} [options={}] - Translation options
+ * @returns {Promise<BatchResult>} Translated entries and echoed indexes
  */
-async function translateBatchWithRetry(apiKey, batch, targetLang, translatedContext, maxRetries = 5, signal, onWaiting) {
+async function translateBatchWithRetry(apiKey, batch, targetLang, translatedContext, maxRetries = 5, signal, onWaiting, options = {}) {
     let lastError;
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -259,13 +481,13 @@ async function translateBatchWithRetry(apiKey, batch, targetLang, translatedCont
         }
 
         try {
-            const translatedEntries = await translateBatch(
+            return await requestBatch(
                 apiKey,
                 batch,
                 targetLang,
-                translatedContext
+                translatedContext,
+                { ...options, signal }
             );
-            return translatedEntries;
         } catch (error) {
             lastError = error;
 
@@ -276,7 +498,8 @@ async function translateBatchWithRetry(apiKey, batch, targetLang, translatedCont
                 error.message.includes('Too Many') ||
                 error.message.includes('Empty response') ||
                 error.message.includes('empty candidates') ||
-                error.message.includes('No response from Gemini');
+                error.message.includes('No response from') ||
+                error.message.includes('Invalid JSON response');
 
             if (!isRetryable) {
                 throw error;
@@ -298,7 +521,7 @@ async function translateBatchWithRetry(apiKey, batch, targetLang, translatedCont
                     onWaiting(waitSeconds, attempt + 1, maxRetries);
                 }
 
-                await delay(totalDelay);
+                await delay(totalDelay, signal);
             }
         }
     }
@@ -306,147 +529,451 @@ async function translateBatchWithRetry(apiKey, batch, targetLang, translatedCont
     throw lastError;
 }
 
+/**
+ * Format validation issues for the event log
+ * @param {ValidationIssue[]} issues - Issues to format
+ * @returns {string} One issue per line
+ */
+export function formatIssues(issues) {
+    return issues.map(issue => issue.index !== null
+        ? `[${issue.index}] ${issue.problem}`
+        : `Batch: ${issue.problem}`
+    ).join('\n');
+}
+
+/**
+ * Translate a batch, validate the result and re-translate it when validation fails
+ * A failing batch is requested again, then halved into sub-batches;
+ * entries that still fail are returned as flagged
+ * @param {string} apiKey - Provider API key
+ * @param {Batch} batch - Batch to translate
+ * @param {string} targetLang - Target language code
+ * @param {SubtitleEntry[]} translatedContext - Previous translations for context
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @param {Function} [onWaiting] - Callback when waiting for a rate limit retry
+ * @param {Function} [onRetry] - Callback (message, details) when validation triggers a re-translation
+ * @param {TranslationOptions} [options={}] - Translation options
+ * @param {number} [depth=0] - Current split depth
+ * @returns {Promise<{entries: SubtitleEntry[], flagged: ValidationIssue[]}>} Best entries and unresolved issues
+ */
+async function translateBatchValidated(apiKey, batch, targetLang, translatedContext, signal, onWaiting, onRetry, options = {}, depth = 0) {
+    const positional = options.outputFormat !== 'json';
+    const canSplit = batch.entries.length > 1 && depth < MAX_SPLIT_DEPTH;
+    let best = null;
+
+    for (let attempt = 0; attempt <= VALIDATION_RETRIES; attempt++) {
+        const result = await translateBatchWithRetry(
+            apiKey,
+            batch,
+            targetLang,
+            translatedContext,
+            5, // maxRetries
+            signal,
+            onWaiting,
+            options
+        );
+
+        const validation = validateBatch(result.entries, batch.entries, result.echoedIndexes, { positional });
+        if (validation.valid) {
+            return { entries: result.entries, flagged: [] };
+        }
+
+        const entryIssues = validation.issues.filter(issue => issue.index !== null);
+        if (!best || entryIssues.length < best.issues.length) {
+            best = { entries: result.entries, issues: entryIssues };
+        }
+
+        const range = `[${batch.entries[0].index}-${batch.entries[batch.entries.length - 1].index}]`;
+        if (attempt < VALIDATION_RETRIES) {
+            if (onRetry) {
+                onRetry(`Validation failed for ${range} (${entryIssues.length} issues) - re-translating`, formatIssues(validation.issues));
+            }
+        } else if (canSplit && onRetry) {
+            onRetry(`Validation failed again for ${range} - splitting into smaller batches`, formatIssues(validation.issues));
+        }
+    }
+
+    if (!canSplit) {
+        return { entries: best.entries, flagged: best.issues };
+    }
+
+    // Halve the batch; the second half gets the first half as context
+    const middle = Math.ceil(batch.entries.length / 2);
+    const overlap = batch.contextEntries.length;
+
+    const first = await translateBatchValidated(
+        apiKey,
+        {
+            ...batch,
+            entries: batch.entries.slice(0, middle),
+            followingEntries: batch.entries.slice(middle, middle + (batch.followingEntries || []).length),
+            endIndex: batch.startIndex + middle
+        },
+        targetLang,
+        translatedContext,
+        signal,
+        onWaiting,
+        onRetry,
+        options,
+        depth + 1
+    );
+
+    const second = await translateBatchValidated(
+        apiKey,
+        {
+            ...batch,
+            entries: batch.entries.slice(middle),
+            contextEntries: batch.entries.slice(Math.max(0, middle - overlap), middle),
+            startIndex: batch.startIndex + middle
+        },
+        targetLang,
+        overlap > 0 ? first.entries.slice(-overlap) : [],
+        signal,
+        onWaiting,
+        onRetry,
+        options,
+        depth + 1
+    );
+
+    return {
+        entries: [...first.entries, ...second.entries],
+        flagged: [...first.flagged, ...second.flagged]
+    };
+}
+
+// Limiter for re-translations, kept between calls so repeated clicks share one budget
+let retranslateLimiter = null;
+let retranslateLimits = '';
+
+/**
+ * Limiter for re-translations, recreated when the request budget changes
+ * @param {import('./ratelimit.js').RateLimits} [limits] - Request budget
+ * @returns {import('./ratelimit.js').RateLimiter} Limiter
+ */
+function getRetranslateLimiter(limits) {
+    const key = JSON.stringify({ ...DEFAULT_RATE_LIMITS, ...limits });
+    if (!retranslateLimiter || key !== retranslateLimits) {
+        retranslateLimiter = createRateLimiter(limits);
+        retranslateLimits = key;
+    }
+    return retranslateLimiter;
+}
+
+/**
+ * Re-translate a few cues, e.g. from the editor, with the same validation as a full run
+ * With options.translationMemory the new translations are saved, but never looked up:
+ * asking again should give a fresh translation, not the remembered one
+ * @param {string} apiKey - Provider API key
+ * @param {Batch} batch - Cues to translate, with their context
+ * @param {string} targetLang - Target language code
+ * @param {SubtitleEntry[]} translatedContext - Translations of the context entries
+ * @param {Function} [onLog] - Log callback (type, message, details)
+ * @param {TranslationOptions} [options={}] - Translation options
+ * @returns {Promise<{entries: SubtitleEntry[], flagged: ValidationIssue[]}>} Translated entries and unresolved issues
+ */
+export async function retranslateBatch(apiKey, batch, targetLang, translatedContext, onLog, options = {}) {
+    const result = await translateBatchValidated(
+        apiKey,
+        batch,
+        targetLang,
+        translatedContext,
+        undefined,
+        (waitSeconds, attempt, maxRetries) => {
+            if (onLog) {
+                onLog('waiting', `Rate limited - waiting ${waitSeconds}s (attempt ${attempt}/${maxRetries})`);
+            }
+        },
+        (message, details) => {
+            if (onLog) {
+                onLog('waiting', message, details);
+            }
+        },
+        { ...options, rateLimiter: options.rateLimiter || getRetranslateLimiter(options.rateLimits) }
+    );
+
+    if (options.translationMemory) {
+        await storeRemembered(batch.entries, result.entries, result.flagged, getMemoryScope(targetLang, options));
+    }
+    return result;
+}
+
+/**
+ * Look up a batch in the translation memory
+ * A memory that cannot be read is logged and skipped, the batch is then translated in full
+ * @param {SubtitleEntry[]} entries - Source entries
+ * @param {import('./memory.js').MemoryScope} scope - Languages and model
+ * @param {Function} [onLog] - Log callback
+ * @param {string} batchNum - Batch shown in the log
+ * @returns {Promise<Map<string, string>>} Translation by source text
+ */
+async function lookupRemembered(entries, scope, onLog, batchNum) {
+    try {
+        return await lookupMemory(entries.map(entry => entry.text), scope);
+    } catch (error) {
+        console.warn('Could not read translation memory:', error);
+        if (onLog) {
+            onLog('error', 'Translation memory unavailable - translating the whole batch', error.message, batchNum);
+        }
+        return new Map();
+    }
+}
+
+/**
+ * Store a batch's new translations in the translation memory
+ * Entries still flagged by validation are left out, so a bad translation is not reused
+ * @param {SubtitleEntry[]} sources - Entries sent to the provider
+ * @param {SubtitleEntry[]} translations - Translated entries of the whole batch
+ * @param {ValidationIssue[]} flagged - Unresolved validation issues
+ * @param {import('./memory.js').MemoryScope} scope - Languages and model
+ */
+async function storeRemembered(sources, translations, flagged, scope) {
+    const flaggedIndexes = new Set(flagged.map(issue => issue.index));
+    const translationByIndex = new Map(translations.map(entry => [entry.index, entry.text]));
+    const pairs = sources
+        .filter(entry => !flaggedIndexes.has(entry.index) && translationByIndex.has(entry.index))
+        .map(entry => ({ source: entry.text, target: translationByIndex.get(entry.index) }));
+
+    try {
+        await addToMemory(pairs, scope);
+    } catch (error) {
+        console.warn('Could not save to translation memory:', error);
+    }
+}
+
 /**
  * Translate all batches with progress tracking
- * @param {string} apiKey - Gemini API key
+ * Up to rateLimits.concurrency batches are in flight at once, every request
+ * waiting for the rate limiter. Results are put back in batch order, and progress
+ * is saved for the batches done so far without gaps, so a resumed run never skips one.
+ * A batch gets the previous batch's translations as context only if it finished first
+ * With options.translationMemory, lines found in the memory are reused and only the
+ * rest of each batch is sent; the new translations are added to the memory.
+ * While options.pause is paused, batches in flight finish and are saved, then no new one starts.
+ * Aborting the signal throws 'Translation cancelled'; the progress is saved as not failed
+ * @param {string} apiKey - Provider API key
  * @param {Batch[]} batches - All batches to translate
  * @param {string} targetLang - Target language code
  * @param {Function} onProgress - Progress callback (completedBatches, totalBatches, currentBatchEntries, statusText)
  * @param {AbortSignal} [signal] - Optional abort signal
  * @param {Function} [onLog] - Log callback (type, message, details, batchInfo)
- * @param {Function} [onBatchComplete] - Called after each batch with all translated entries so far
+ * @param {Function} [onBatchComplete] - Called with the number of batches saved, all translated entries so far and whether the run failed
  * @param {number} [startFromBatch=0] - Batch index to start/resume from
  * @param {SubtitleEntry[]} [existingEntries=[]] - Already translated entries when resuming
+ * @param {TranslationOptions} [options={}] - Translation options
  * @returns {Promise<SubtitleEntry[]>} All translated entries
  */
-export async function translateAllBatches(apiKey, batches, targetLang, onProgress, signal, onLog, onBatchComplete, startFromBatch = 0, existingEntries = []) {
+export async function translateAllBatches(apiKey, batches, targetLang, onProgress, signal, onLog, onBatchComplete, startFromBatch = 0, existingEntries = [], options = {}) {
     const allTranslatedEntries = [...existingEntries];
-
-    // Much longer delay between batches (4 seconds) to stay under rate limits
-    // Gemini free tier: ~15 requests per minute = 1 request per 4 seconds
-    const BATCH_DELAY = 4000;
+    const limits = { ...DEFAULT_RATE_LIMITS, ...options.rateLimits };
+    const concurrency = Math.max(1, Math.floor(limits.concurrency) || 1);
+    const runOptions = { ...options, rateLimiter: createRateLimiter(limits, signal) };
+    const memoryScope = getMemoryScope(targetLang, options);
+
+    // Translations finished out of order wait here until the batches before them are done
+    const finished = new Map();
+    let nextBatch = startFromBatch;
+    let savedBatches = startFromBatch;
+    let completedBatches = startFromBatch;
+    let failure = null;
+    let runningBatches = 0;
 
     // Log if resuming
     if (startFromBatch > 0 && onLog) {
         onLog('response', `Resuming from batch ${startFromBatch + 1}`, `${existingEntries.length} subtitles already translated`);
     }
 
-    for (let i = startFromBatch; i < batches.length; i++) {
-        // Check for abort
-        if (signal?.aborted) {
-            throw new Error('Translation cancelled');
-        }
-
+    const translateOne = async (i) => {
         const batch = batches[i];
         const batchNum = `${i + 1}/${batches.length}`;
 
-        // Get context from previously translated entries
-        const contextStart = Math.max(0, allTranslatedEntries.length - 3);
-        const translatedContext = allTranslatedEntries.slice(contextStart);
+        // Get context from the previously translated batch, if it is done
+        const contextSize = batch.contextEntries.length;
+        const previous = i === savedBatches ? allTranslatedEntries : (finished.get(i - 1) || []);
+        const translatedContext = contextSize > 0 ? previous.slice(-contextSize) : [];
 
-        // Update status to show we're translating
-        if (onProgress) {
-            onProgress(i, batches.length, batch.entries.length, `Translating batch ${i + 1} of ${batches.length}...`);
-        }
+        // Reuse what the translation memory already has; only the rest goes to the provider
+        const remembered = options.translationMemory ? await lookupRemembered(batch.entries, memoryScope, onLog, batchNum) : new Map();
+        const pending = batch.entries.filter(entry => !remembered.has(entry.text));
 
-        // Log request
-        if (onLog) {
-            const sampleText = batch.entries.slice(0, 3).map(e => `[${e.index}] ${e.text}`).join('\n');
-            onLog('request', `Sending ${batch.entries.length} subtitles to Gemini`, sampleText, batchNum);
-        }
+        const pendingBatch = pending.length < batch.entries.length ? { ...batch, entries: pending } : batch;
+        let translatedEntries = [];
+        let flagged = [];
 
-        try {
-            // Translate the batch with retry logic
-            const translatedEntries = await translateBatchWithRetry(
+        if (pending.length > 0) {
+            // Update status to show we're translating
+            if (onProgress) {
+                onProgress(completedBatches, batches.length, 0, `Translating batch ${i + 1} of ${batches.length}...`);
+            }
+
+            // Log request
+            if (onLog) {
+                const sampleText = pending.slice(0, 3).map(e => `[${e.index}] ${e.text}`).join('\n');
+                onLog('request', `Sending ${pending.length} subtitles to ${getProviderDefinition(currentProvider).name}`, sampleText, batchNum);
+            }
+
+            // Translate the batch with retry logic and validation
+            ({ entries: translatedEntries, flagged } = await translateBatchValidated(
                 apiKey,
-                batch,
+                pendingBatch,
                 targetLang,
                 translatedContext,
-                5, // maxRetries
                 signal,
                 (waitSeconds, attempt, maxRetries) => {
                     // Update UI to show waiting status
                     if (onProgress) {
-                        onProgress(i, batches.length, 0, `Rate limited. Waiting ${waitSeconds}s... (retry ${attempt}/${maxRetries})`);
+                        onProgress(completedBatches, batches.length, 0, `Rate limited. Waiting ${waitSeconds}s... (retry ${attempt}/${maxRetries})`);
                     }
                     // Log waiting
                     if (onLog) {
                         onLog('waiting', `Rate limited - waiting ${waitSeconds}s (attempt ${attempt}/${maxRetries})`, null, batchNum);
                     }
-                }
-            );
+                },
+                (message, details) => {
+                    if (onProgress) {
+                        onProgress(completedBatches, batches.length, 0, `Re-translating batch ${i + 1} of ${batches.length}...`);
+                    }
+                    if (onLog) {
+                        onLog('waiting', message, details, batchNum);
+                    }
+                },
+                runOptions
+            ));
 
             // Log response
             if (onLog) {
                 const sampleTranslation = translatedEntries.slice(0, 3).map(e => `[${e.index}] ${e.text}`).join('\n');
                 onLog('response', `Received ${translatedEntries.length} translated subtitles`, sampleTranslation, batchNum);
+
+                if (flagged.length > 0) {
+                    onLog('flagged', `${flagged.length} subtitles still failed validation`, formatIssues(flagged), batchNum);
+                }
+
+                const violations = checkGlossary(options.glossary || [], pending, translatedEntries);
+                if (violations.length > 0) {
+                    const details = violations.map(v => `[${v.index}] "${v.source}" should be translated as "${v.target}"`).join('\n');
+                    onLog('flagged', `${violations.length} glossary violations`, details, batchNum);
+                }
             }
+        }
 
-            // Add to results
-            allTranslatedEntries.push(...translatedEntries);
+        const reusedCount = batch.entries.length - pending.length;
+        if (reusedCount > 0) {
+            const translatedByIndex = new Map(translatedEntries.map(entry => [entry.index, entry]));
+            const reused = wrapEntries(
+                batch.entries.filter(entry => remembered.has(entry.text)).map(entry => ({ ...entry, text: remembered.get(entry.text) })),
+                targetLang,
+                options
+            );
+            const reusedByIndex = new Map(reused.map(entry => [entry.index, entry]));
+            translatedEntries = batch.entries.map(entry => reusedByIndex.get(entry.index) || translatedByIndex.get(entry.index) || entry);
 
-            // Save progress after each successful batch
-            if (onBatchComplete) {
-                onBatchComplete(i + 1, allTranslatedEntries);
+            if (onLog) {
+                onLog('response', `${pending.length === 0 ? 'All' : reusedCount} of ${batch.entries.length} subtitles reused from translation memory`, null, batchNum);
             }
+        }
 
-            // Report progress
+        if (options.translationMemory && pending.length > 0) {
+            await storeRemembered(pending, translatedEntries, flagged, memoryScope);
+        }
+
+        // Add to results in batch order
+        finished.set(i, translatedEntries);
+        completedBatches++;
+        const saved = savedBatches;
+        while (finished.has(savedBatches)) {
+            allTranslatedEntries.push(...finished.get(savedBatches));
+            savedBatches++;
+        }
+
+        // Save progress whenever the batches done without gaps grow
+        if (savedBatches > saved && onBatchComplete) {
+            onBatchComplete(savedBatches, allTranslatedEntries);
+        }
+
+        // Report progress
+        if (onProgress) {
+            onProgress(completedBatches, batches.length, batch.entries.length, `Completed batch ${i + 1} of ${batches.length}`);
+        }
+    };
+
+    // Wait while paused; the last worker to stop reports the pause
+    const waitWhilePaused = async () => {
+        if (!options.pause?.isPaused() || signal?.aborted) return;
+
+        if (runningBatches === 0) {
             if (onProgress) {
-                onProgress(i + 1, batches.length, batch.entries.length, `Completed batch ${i + 1} of ${batches.length}`);
+                onProgress(completedBatches, batches.length, 0, `Paused after ${completedBatches} of ${batches.length} batches`);
             }
-
-        } catch (error) {
-            // Save progress before throwing so user can resume
-            if (onBatchComplete) {
-                onBatchComplete(i, allTranslatedEntries, true); // true = failed
+            if (onLog) {
+                onLog('waiting', 'Translation paused', `${savedBatches} of ${batches.length} batches saved`);
             }
-            throw error;
         }
+        await options.pause.waitForResume();
+    };
 
-        // Delay between batches to avoid rate limiting
-        if (i < batches.length - 1) {
-            // Show waiting message
-            if (onProgress) {
-                onProgress(i + 1, batches.length, 0, `Waiting before next batch...`);
+    // Each worker takes the next batch until none are left or one fails
+    const worker = async () => {
+        while (!failure && nextBatch < batches.length) {
+            await waitWhilePaused();
+
+            // Check for abort
+            if (signal?.aborted) {
+                failure = new Error('Translation cancelled');
+                break;
+            }
+            if (failure || nextBatch >= batches.length) break;
+
+            const i = nextBatch++;
+            runningBatches++;
+            try {
+                await translateOne(i);
+            } catch (error) {
+                failure = failure || error;
+            } finally {
+                runningBatches--;
             }
-            await delay(BATCH_DELAY);
         }
+    };
+
+    const workers = Math.min(concurrency, batches.length - startFromBatch);
+    await Promise.all(Array.from({ length: workers }, () => worker()));
+
+    if (failure) {
+        // A cancelled run may also stop on an aborted request's own error
+        const cancelled = Boolean(signal?.aborted);
+
+        // Save progress before throwing so user can resume
+        if (onBatchComplete) {
+            onBatchComplete(savedBatches, allTranslatedEntries, !cancelled); // true = failed
+        }
+        throw cancelled ? new Error('Translation cancelled') : failure;
     }
 
     return allTranslatedEntries;
 }
 
 /**
- * Validate API key by making a simple test request
+ * Validate API key by making a simple test request to the current provider
  * @param {string} apiKey - API key to validate
  * @returns {Promise<boolean>} True if valid
  */
 export async function validateApiKey(apiKey) {
-    if (!apiKey || apiKey.trim().length === 0) {
+    const provider = getProviderDefinition(currentProvider);
+
+    if (provider.requiresApiKey && (!apiKey || apiKey.trim().length === 0)) {
         return false;
     }
 
     try {
-        const url = `${GEMINI_API_BASE}/${GEMINI_MODEL}:generateContent?key=${apiKey}`;
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{
-                        text: 'Say "OK" if you receive this.'
-                    }]
-                }],
-                generationConfig: {
-                    maxOutputTokens: 10
-                }
-            })
-        });
+        const config = getProviderConfig(apiKey);
+
+        if (provider.type === 'mt') {
+            await provider.translateTexts(config, ['OK'], 'en', 'es');
+        } else {
+            await provider.complete(config, 'Say "OK" if you receive this.');
+        }
 
-        return response.ok;
+        return true;
     } catch {
         return false;
     }
@@ -455,8 +982,24 @@ export async function validateApiKey(apiKey) {
 /**
  * Delay helper
  * @param {number} ms - Milliseconds to delay
+ * @param {AbortSignal} [signal] - Rejects the delay early when aborted
  * @returns {Promise<void>}
  */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new Error('Translation cancelled'));
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error('Translation cancelled'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
 }